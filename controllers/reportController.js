@@ -1,4 +1,5 @@
 const Property = require('../models/Property');
+const Payment = require('../models/Payment');
 
 // @desc    Get sold properties reporting statistics
 // @route   GET /api/reports/sold-stats
@@ -152,7 +153,9 @@ exports.getSoldList = async (req, res) => {
                 { soldDate: { $exists: true } }
             ]
         })
-            .select('title address price soldPrice predictedPrice riskCategory soldDate')
+            .select('title address price soldPrice predictedPrice riskCategory soldDate closing')
+            .populate('closing.buyer', 'name email')
+            .populate('closing.agent', 'name email')
             .sort({ soldDate: -1 });
 
         res.status(200).json({
@@ -163,3 +166,73 @@ exports.getSoldList = async (req, res) => {
         res.status(500).json({ success: false, message: error.message });
     }
 };
+
+// @desc    Get advance payment totals from the payment ledger
+// @route   GET /api/reports/payments
+// @access  Private/Admin
+exports.getPaymentSummary = async (req, res) => {
+    try {
+        // A payment can reach the ledger twice (checkout + webhook), so collapse
+        // entries per payment/refund before summing.
+        const [totals, trend] = await Promise.all([
+            Payment.aggregate([
+                { $match: { outcome: { $in: ['applied', 'already_applied'] } } },
+                {
+                    $group: {
+                        _id: { event: '$event', paymentId: '$paymentId', refundId: '$refundId' },
+                        amount: { $max: '$amount' }
+                    }
+                },
+                {
+                    $group: {
+                        _id: '$_id.event',
+                        count: { $sum: 1 },
+                        totalAmount: { $sum: '$amount' }
+                    }
+                }
+            ]),
+            Payment.aggregate([
+                { $match: { event: 'payment.captured', outcome: { $in: ['applied', 'already_applied'] } } },
+                {
+                    $group: {
+                        _id: '$paymentId',
+                        amount: { $max: '$amount' },
+                        date: { $min: '$createdAt' }
+                    }
+                },
+                {
+                    $group: {
+                        _id: { $dateToString: { format: "%Y-%m", date: "$date" } },
+                        totalAmount: { $sum: '$amount' },
+                        count: { $sum: 1 }
+                    }
+                },
+                { $sort: { "_id": 1 } }
+            ])
+        ]);
+
+        const byEvent = totals.reduce((acc, item) => {
+            acc[item._id] = { count: item.count, totalAmount: item.totalAmount };
+            return acc;
+        }, {});
+        const empty = { count: 0, totalAmount: 0 };
+        const captured = byEvent['payment.captured'] || empty;
+        const failed = byEvent['payment.failed'] || empty;
+        const refunded = byEvent['refund.processed'] || empty;
+        const unmatchedCount = await Payment.countDocuments({ outcome: { $in: ['unmatched', 'rejected'] } });
+
+        res.status(200).json({
+            success: true,
+            data: {
+                captured,
+                failed,
+                refunded,
+                netCollected: captured.totalAmount - refunded.totalAmount,
+                unmatchedCount,
+                monthlyTrend: trend
+            }
+        });
+    } catch (error) {
+        res.status(500).json({ success: false, message: error.message });
+    }
+};
@@ -13,8 +13,13 @@ const offerRoutes = require('./routes/offerRoutes');
 const notificationRoutes = require('./routes/notificationRoutes');
 const analyticsRoutes = require('./routes/analyticsRoutes');
 const reportRoutes = require('./routes/reportRoutes');
+const paymentRoutes = require('./routes/paymentRoutes');
+const purchaseRoutes = require('./routes/purchaseRoutes');
+const savedSearchRoutes = require('./routes/savedSearchRoutes');
+const rentalApplicationRoutes = require('./routes/rentalApplicationRoutes');
+const projectRoutes = require('./routes/projectRoutes');
 const { initSocket } = require('./utils/socket');
-const Razorpay = require('razorpay');
+const { getStorage } = require('./utils/imageStorage');
 
 const app = express();
 const server = http.createServer(app);
@@ -50,8 +55,22 @@ app.use(cors({
   },
   credentials: true
 }));
-app.use(express.json({ limit: '10mb' }));
-app.use(express.urlencoded({ extended: true, limit: '10mb' }));
+// Images go through the multipart upload endpoints, so JSON bodies stay small
+app.use(express.json({
+  limit: '1mb',
+  // Keep the raw body for Razorpay webhook signature verification
+  verify(req, res, buf) {
+    if (req.originalUrl.startsWith('/api/payments/webhook')) {
+      req.rawBody = buf;
+    }
+  }
+}));
+app.use(express.urlencoded({ extended: true, limit: '1mb' }));
+
+// Uploaded property images (local storage adapter)
+if (getStorage().root) {
+  app.use('/uploads', express.static(getStorage().root, { maxAge: '7d' }));
+}
 app.use((req, res, next) => {
   console.log(`[${new Date().toISOString()}] ${req.method} ${req.url}`);
   next();
@@ -121,6 +140,16 @@ cleanupExpiredSlots();
 // Schedule cleanup to run every 10 minutes
 setInterval(cleanupExpiredSlots, 10 * 60 * 1000);
 
+// Lapse stale offers and send advance payment reminders every 15 minutes
+const { runOfferExpiry } = require('./utils/offerExpiry');
+runOfferExpiry();
+setInterval(runOfferExpiry, 15 * 60 * 1000);
+
+// Send due daily/weekly saved search digests every hour
+const { runSavedSearchDigests } = require('./utils/savedSearchAlerts');
+runSavedSearchDigests();
+setInterval(runSavedSearchDigests, 60 * 60 * 1000);
+
 // Routes
 app.use('/api/auth', authRoutes);
 app.use('/api/agents', agentRoutes);
@@ -130,44 +159,11 @@ app.use('/api/offers', offerRoutes);
 app.use('/api/notifications', notificationRoutes);
 app.use('/api/analytics', analyticsRoutes);
 app.use('/api/reports', reportRoutes);
-
-// Payment: Razorpay order creation (test)
-const razorpay = new Razorpay({
-  key_id: process.env.RAZORPAY_KEY_ID || 'rzp_test_RQvwxfrTu00hqp',
-  key_secret: process.env.RAZORPAY_KEY_SECRET || 'lc1B2qkCH3v7eVjStPcs9rTY',
-});
-
-app.post('/api/payments/order', async (req, res) => {
-  try {
-    const { amount, currency = 'INR', receipt } = req.body || {};
-    const parsedAmountInRupees = Number(amount);
-    if (!Number.isFinite(parsedAmountInRupees)) {
-      return res.status(400).json({ success: false, message: 'Invalid amount' });
-    }
-
-    // Limits (configurable). Razorpay minimum is 100 paise (₹1.00)
-    const minAmountInPaise = 100;
-    const maxAmountInRupees = Number(process.env.RAZORPAY_MAX_AMOUNT_INR || 100000); // default ₹1,00,000
-    const maxAmountInPaise = Math.round(maxAmountInRupees * 100);
-
-    const minorAmount = Math.round(parsedAmountInRupees * 100);
-    if (minorAmount < minAmountInPaise) {
-      return res.status(400).json({ success: false, message: 'Amount below minimum allowed (₹1.00)' });
-    }
-    if (minorAmount > maxAmountInPaise) {
-      return res.status(400).json({ success: false, message: 'Amount exceeds maximum allowed' });
-    }
-
-    const order = await razorpay.orders.create({ amount: minorAmount, currency, receipt: receipt || `rcpt_${Date.now()}` });
-    res.json({ success: true, order });
-  } catch (e) {
-    console.error('Failed to create Razorpay order', e?.error || e);
-    res.status(500).json({
-      success: false,
-      message: e?.error?.description || e?.message || 'Failed to create payment order'
-    });
-  }
-});
+app.use('/api/payments', paymentRoutes);
+app.use('/api/purchase', purchaseRoutes);
+app.use('/api/saved-searches', savedSearchRoutes);
+app.use('/api/rental-applications', rentalApplicationRoutes);
+app.use('/api/projects', projectRoutes);
 
 // Health check route
 app.get('/api/health', (req, res) => {
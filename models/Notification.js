@@ -4,7 +4,7 @@ const notificationSchema = new mongoose.Schema({
   userId: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
   type: {
     type: String,
-    enum: ['visit', 'purchase', 'payment', 'status', 'general'],
+    enum: ['visit', 'purchase', 'rental', 'payment', 'status', 'alert', 'general'],
     required: true
   },
   title: { type: String, required: true, trim: true },
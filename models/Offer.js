@@ -32,11 +32,37 @@ const offerSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Negotiation history: the buyer's opening offer is round 1, and each
+  // counter-offer from either side adds a new version. Only the latest round
+  // can be open.
+  rounds: [{
+    version: { type: Number, required: true },
+    amount: { type: Number, required: true },
+    author: { type: mongoose.Schema.Types.ObjectId, ref: 'User', required: true },
+    authorRole: { type: String, enum: ['buyer', 'agent'], required: true },
+    message: { type: String },
+    expiresAt: { type: Date },
+    status: {
+      type: String,
+      enum: ['open', 'accepted', 'countered', 'rejected', 'withdrawn', 'expired'],
+      default: 'open'
+    },
+    respondedAt: { type: Date },
+    createdAt: { type: Date, default: Date.now }
+  }],
   status: {
     type: String,
-    enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'advance_paid'],
+    enum: ['pending', 'accepted', 'rejected', 'withdrawn', 'advance_paid', 'sold', 'cancelled', 'refunded', 'expired', 'on_hold', 'closed'],
     default: 'pending'
   },
+  // Every status change, see utils/offerStateMachine
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    date: { type: Date, default: Date.now }
+  }],
   createdAt: {
     type: Date,
     default: Date.now
@@ -45,6 +71,37 @@ const offerSchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // Competing offers: held while another offer on the property is accepted,
+  // closed (or auto-rejected) with a reason when that offer wins
+  heldBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Offer'
+  },
+  closedReason: {
+    type: String,
+    enum: ['another_offer_accepted', 'property_sold']
+  },
+  // Validity window: a pending offer lapses at expiresAt (moved forward by each
+  // counter-offer round), an accepted one at advanceDueAt if the advance is unpaid
+  expiresAt: {
+    type: Date
+  },
+  advanceDueAt: {
+    type: Date
+  },
+  advanceReminderSentAt: {
+    type: Date
+  },
+  expiredAt: {
+    type: Date
+  },
+  expiryReason: {
+    type: String,
+    enum: ['offer_lapsed', 'advance_not_paid']
+  },
+  // Buyer withdrawal
+  withdrawnAt: { type: Date },
+  withdrawalReason: { type: String },
   // Advance payment tracking (optional)
   advancePaid: {
     type: Boolean,
@@ -58,8 +115,12 @@ const offerSchema = new mongoose.Schema({
     type: Date,
     required: false
   },
+  // Razorpay order created for this offer's advance (see POST /api/payments/order)
   paymentRef: {
     orderId: { type: String },
+    amount: { type: Number },
+    currency: { type: String },
+    createdAt: { type: Date },
     paymentId: { type: String },
     signature: { type: String },
     method: { type: String }
@@ -71,9 +132,53 @@ const offerSchema = new mongoose.Schema({
     signature: { type: String },
     method: { type: String },
     date: { type: Date }
-  }
+  },
+  // Cancellation of an accepted offer and refunds of its advance
+  cancelledAt: {
+    type: Date
+  },
+  cancellationReason: {
+    type: String
+  },
+  refundedAmount: {
+    type: Number,
+    default: 0
+  },
+  refunds: [{
+    refundId: { type: String },
+    amount: { type: Number },
+    status: { type: String, enum: ['pending', 'processed', 'failed'], default: 'pending' },
+    reason: { type: String },
+    initiatedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    createdAt: { type: Date, default: Date.now },
+    processedAt: { type: Date }
+  }],
+  // Audit trail of the advance payment, whichever route it came through
+  advanceAudit: [{
+    action: { type: String, enum: ['order_created', 'verification_failed', 'paid'] },
+    amount: { type: Number },
+    orderId: { type: String },
+    paymentId: { type: String },
+    reason: { type: String },
+    via: { type: String },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now }
+  }],
+  // Advance payments that failed server-side verification
+  paymentFailures: [{
+    orderId: { type: String },
+    paymentId: { type: String },
+    amount: { type: Number },
+    reason: { type: String },
+    attemptedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    date: { type: Date, default: Date.now }
+  }]
 });
 
+offerSchema.index({ propertyId: 1, status: 1 });
+offerSchema.index({ status: 1, expiresAt: 1 });
+offerSchema.index({ status: 1, advanceDueAt: 1 });
+
 // Update the updatedAt field on save
 offerSchema.pre('save', function(next) {
   this.updatedAt = Date.now();
@@ -0,0 +1,39 @@
+const mongoose = require('mongoose');
+
+// Payment ledger: one entry per Razorpay event (webhook), verified checkout or
+// admin-initiated refund.
+// eventId is unique so a redelivered event is stored, and applied, only once.
+const paymentSchema = new mongoose.Schema({
+  eventId: { type: String, required: true, unique: true },
+  event: {
+    type: String,
+    enum: ['payment.captured', 'payment.failed', 'refund.processed'],
+    required: true
+  },
+  source: { type: String, enum: ['webhook', 'checkout', 'admin'], required: true },
+  offerId: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
+  orderId: { type: String },
+  receipt: { type: String },
+  paymentId: { type: String },
+  refundId: { type: String },
+  amount: { type: Number }, // rupees
+  currency: { type: String, default: 'INR' },
+  method: { type: String },
+  signature: { type: String },
+  errorReason: { type: String },
+  // What applying the entry did
+  outcome: { type: String, enum: ['applied', 'already_applied', 'unmatched', 'rejected'] },
+  outcomeReason: { type: String },
+  // Set while the entry is being applied; processedAt once it has been
+  processingStartedAt: { type: Date },
+  processedAt: { type: Date },
+  payload: { type: Object }
+}, {
+  timestamps: { createdAt: 'createdAt', updatedAt: 'updatedAt' }
+});
+
+paymentSchema.index({ offerId: 1, createdAt: -1 });
+paymentSchema.index({ paymentId: 1 });
+paymentSchema.index({ event: 1, createdAt: -1 });
+
+module.exports = mongoose.model('Payment', paymentSchema);
@@ -0,0 +1,111 @@
+const mongoose = require('mongoose');
+
+// A builder's development. Its units are Property documents pointing back
+// here, each with its own price, floor, configuration and availability; the
+// address, amenities, media and builder details are shared.
+const projectSchema = new mongoose.Schema({
+  name: {
+    type: String,
+    required: [true, 'Project name is required'],
+    trim: true,
+    maxlength: [100, 'Project name cannot exceed 100 characters']
+  },
+  description: {
+    type: String,
+    required: [true, 'Project description is required'],
+    trim: true,
+    maxlength: [1000, 'Description cannot exceed 1000 characters']
+  },
+  builder: {
+    name: {
+      type: String,
+      required: [true, 'Builder name is required'],
+      trim: true
+    },
+    website: { type: String, trim: true },
+    phone: { type: String, trim: true },
+    email: { type: String, trim: true, lowercase: true },
+    // Real estate regulator registration number
+    reraNumber: { type: String, trim: true }
+  },
+  address: {
+    street: {
+      type: String,
+      required: [true, 'Street address is required'],
+      trim: true
+    },
+    city: {
+      type: String,
+      required: [true, 'City is required'],
+      trim: true
+    },
+    state: {
+      type: String,
+      required: [true, 'State is required'],
+      trim: true
+    },
+    zipCode: {
+      type: String,
+      trim: true
+    },
+    country: {
+      type: String,
+      default: 'India'
+    }
+  },
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  locationSource: {
+    type: String,
+    enum: ['manual', 'pincode', 'city']
+  },
+  amenities: [{
+    type: String,
+    trim: true
+  }],
+  images: [{
+    url: String,
+    alt: String,
+    isPrimary: {
+      type: Boolean,
+      default: false
+    }
+  }],
+  brochureUrl: String,
+  constructionStatus: {
+    type: String,
+    enum: ['upcoming', 'under_construction', 'ready_to_move'],
+    default: 'under_construction'
+  },
+  possessionDate: Date,
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  createdBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  }
+}, {
+  timestamps: true
+});
+
+projectSchema.index({ agent: 1 });
+projectSchema.index({ 'address.city': 1, isActive: 1 });
+projectSchema.index({ location: '2dsphere' });
+
+module.exports = mongoose.model('Project', projectSchema);
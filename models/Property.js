@@ -13,6 +13,8 @@ const propertySchema = new mongoose.Schema({
     trim: true,
     maxlength: [1000, 'Description cannot exceed 1000 characters']
   },
+  // Sale price, or the monthly rent for rental listings (kept in step with
+  // rental.monthlyRent so price filters and sorting work for both)
   price: {
     type: Number,
     required: [true, 'Price is required'],
@@ -26,9 +28,64 @@ const propertySchema = new mongoose.Schema({
   },
   status: {
     type: String,
-    enum: ['active', 'sold', 'pending', 'inactive'],
+    enum: ['active', 'sold', 'pending', 'inactive', 'rented'],
     default: 'active'
   },
+  listingType: {
+    type: String,
+    enum: ['sale', 'rent'],
+    default: 'sale'
+  },
+  rental: {
+    monthlyRent: {
+      type: Number,
+      min: [1, 'Monthly rent must be greater than 0']
+    },
+    securityDeposit: {
+      type: Number,
+      min: [0, 'Security deposit cannot be negative']
+    },
+    // Monthly maintenance charges on top of the rent
+    maintenance: {
+      type: Number,
+      min: [0, 'Maintenance cannot be negative']
+    },
+    furnishing: {
+      type: String,
+      enum: ['unfurnished', 'semi-furnished', 'fully-furnished']
+    },
+    minLeaseMonths: {
+      type: Number,
+      min: [1, 'Minimum lease must be at least 1 month'],
+      max: [120, 'Minimum lease cannot exceed 120 months']
+    },
+    availableFrom: Date
+  },
+  // Units of a builder project share its address, amenities and media (read
+  // from the populated project); each unit is still its own listing for
+  // offers and visits
+  project: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Project'
+  },
+  unit: {
+    tower: { type: String, trim: true },
+    floor: { type: Number, min: [-5, 'Floor cannot be below -5'], max: [200, 'Floor cannot exceed 200'] },
+    unitNumber: { type: String, trim: true },
+    // e.g. "2 BHK", "3 BHK + Study"
+    configuration: { type: String, trim: true }
+  },
+  // Set when a rental application is approved and the listing is let
+  lease: {
+    application: { type: mongoose.Schema.Types.ObjectId, ref: 'RentalApplication' },
+    tenant: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    monthlyRent: Number,
+    securityDeposit: Number,
+    startDate: Date,
+    leaseMonths: Number,
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: Date
+  },
   bedrooms: {
     type: Number,
     min: [0, 'Bedrooms cannot be negative'],
@@ -69,17 +126,50 @@ const propertySchema = new mongoose.Schema({
       default: 'India'
     }
   },
+  // GeoJSON point ([lng, lat]); 'pincode'/'city' sources are gazetteer
+  // centroids, 'manual' coordinates were supplied with the listing
+  location: {
+    type: {
+      type: String,
+      enum: ['Point']
+    },
+    coordinates: {
+      type: [Number],
+      default: undefined
+    }
+  },
+  locationSource: {
+    type: String,
+    enum: ['manual', 'pincode', 'city']
+  },
   features: [{
     type: String,
     trim: true
   }],
+  // Array order is the display order. Uploaded images also carry their
+  // resized variants and storage keys (see utils/imageProcessing).
   images: [{
     url: String,
     alt: String,
     isPrimary: {
       type: Boolean,
       default: false
-    }
+    },
+    variants: {
+      large: String,
+      medium: String,
+      thumbnail: String
+    },
+    storageKeys: [String],
+    width: Number,
+    height: Number,
+    size: Number,
+    originalName: String,
+    uploadedBy: {
+      type: mongoose.Schema.Types.ObjectId,
+      ref: 'User'
+    },
+    uploadedAt: Date
   }],
   agent: {
     type: mongoose.Schema.Types.ObjectId,
@@ -103,6 +193,27 @@ const propertySchema = new mongoose.Schema({
     type: Boolean,
     default: true
   },
+  // Review before going public, see utils/listingModeration. No default on
+  // purpose: listings created before moderation existed are published.
+  moderationStatus: {
+    type: String,
+    enum: ['draft', 'submitted', 'approved', 'rejected', 'changes_requested', 'published']
+  },
+  moderationHistory: [{
+    from: String,
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    comment: String,
+    date: { type: Date, default: Date.now }
+  }],
+  submittedAt: Date,
+  reviewedAt: Date,
+  reviewedBy: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User'
+  },
+  reviewComment: String,
+  publishedAt: Date,
   createdAt: {
     type: Date,
     default: Date.now
@@ -111,12 +222,68 @@ const propertySchema = new mongoose.Schema({
     type: Date,
     default: Date.now
   },
+  // What happens to other pending offers once one offer is accepted:
+  // 'hold' parks them until the accepted offer completes or falls through,
+  // 'reject' turns them down straight away
+  competingOfferPolicy: {
+    type: String,
+    enum: ['hold', 'reject'],
+    default: 'hold'
+  },
+  // Advance required once an offer is accepted: a fixed amount, or a percentage
+  // of the offer amount (falls back to ADVANCE_PERCENT when neither is set)
+  advancePayment: {
+    amount: {
+      type: Number,
+      min: [1, 'Advance amount must be greater than 0']
+    },
+    percent: {
+      type: Number,
+      min: [0.01, 'Advance percentage must be greater than 0'],
+      max: [100, 'Advance percentage cannot exceed 100']
+    }
+  },
+  // Every price the listing has had, oldest first; lastPriceChange mirrors
+  // the latest real change (see utils/priceHistory)
+  priceHistory: [{
+    price: { type: Number, required: true },
+    previousPrice: Number,
+    changePercent: Number,
+    changedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: String,
+    changedAt: { type: Date, default: Date.now }
+  }],
+  lastPriceChange: {
+    previousPrice: Number,
+    price: Number,
+    changePercent: Number,
+    changedAt: Date
+  },
   soldDate: {
     type: Date
   },
   soldPrice: {
     type: Number
   },
+  // Closing record written with the sold status, see utils/closingService
+  closing: {
+    offer: { type: mongoose.Schema.Types.ObjectId, ref: 'Offer' },
+    buyer: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    agent: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    finalPrice: { type: Number },
+    closingDate: { type: Date },
+    advanceCredited: { type: Number, default: 0 },
+    balanceDue: { type: Number, default: 0 },
+    commission: {
+      percent: { type: Number },
+      total: { type: Number },
+      agentSharePercent: { type: Number },
+      agentAmount: { type: Number },
+      platformAmount: { type: Number }
+    },
+    recordedBy: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    recordedAt: { type: Date }
+  },
   predictedPrice: {
     type: Number
   },
@@ -143,16 +310,67 @@ propertySchema.index({ createdBy: 1 });
 propertySchema.index({ 'address.city': 1, 'address.state': 1 });
 propertySchema.index({ propertyType: 1 });
 propertySchema.index({ price: 1 });
+propertySchema.index({ listingType: 1, status: 1 });
+propertySchema.index({ project: 1, status: 1 });
+propertySchema.index({ location: '2dsphere' });
+propertySchema.index({ moderationStatus: 1, submittedAt: 1 });
+propertySchema.index({ 'lastPriceChange.changedAt': -1 });
+
+// Keyword search (GET /api/properties?q=); weights rank title matches first
+propertySchema.index(
+  {
+    title: 'text',
+    features: 'text',
+    description: 'text',
+    'address.street': 'text',
+    'address.city': 'text',
+    'address.state': 'text'
+  },
+  {
+    name: 'property_text_search',
+    weights: {
+      title: 10,
+      features: 5,
+      'address.city': 4,
+      'address.state': 2,
+      'address.street': 2,
+      description: 1
+    }
+  }
+);
+
+// Exactly one primary image: the first flagged one, else the first image
+propertySchema.pre('save', function (next) {
+  if (this.isModified('images') && this.images.length > 0) {
+    const primaryIndex = Math.max(this.images.findIndex((image) => image.isPrimary), 0);
+    this.images.forEach((image, index) => {
+      image.isPrimary = index === primaryIndex;
+    });
+  }
+  next();
+});
+
+// Rentals are priced by their monthly rent
+propertySchema.pre('validate', function (next) {
+  if (this.listingType === 'rent') {
+    if (!this.rental?.monthlyRent) {
+      this.invalidate('rental.monthlyRent', 'Monthly rent is required for rental listings');
+    } else {
+      this.price = this.rental.monthlyRent;
+    }
+  }
+  next();
+});
 
 // Virtual for full address
 propertySchema.virtual('fullAddress').get(function () {
   return `${this.address.street}, ${this.address.city}, ${this.address.state} ${this.address.zipCode}`.trim();
 });
 
-// Method to increment views
+// Method to increment views (atomic, without saving the whole document)
 propertySchema.methods.incrementViews = function () {
   this.views += 1;
-  return this.save();
+  return this.constructor.updateOne({ _id: this._id }, { $inc: { views: 1 } });
 };
 
 // Method to increment inquiries
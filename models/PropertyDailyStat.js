@@ -0,0 +1,14 @@
+const mongoose = require('mongoose');
+
+// Per-listing engagement counters, one document per property per day
+const propertyDailyStatSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  day: { type: String, required: true }, // YYYY-MM-DD
+  views: { type: Number, default: 0 },
+  uniqueViewers: { type: Number, default: 0 },
+  saves: { type: Number, default: 0 }
+}, { timestamps: true });
+
+propertyDailyStatSchema.index({ property: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PropertyDailyStat', propertyDailyStatSchema);
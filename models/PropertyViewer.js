@@ -0,0 +1,15 @@
+const mongoose = require('mongoose');
+
+// One viewer's visits to a listing on one day, used to count each viewer once
+// per window. Short-lived: documents expire two days after they are created.
+const propertyViewerSchema = new mongoose.Schema({
+  property: { type: mongoose.Schema.Types.ObjectId, ref: 'Property', required: true },
+  viewerKey: { type: String, required: true }, // user id, or a hash of IP and user agent
+  day: { type: String, required: true }, // YYYY-MM-DD
+  lastCountedAt: { type: Date, default: Date.now },
+  createdAt: { type: Date, default: Date.now, expires: 2 * 24 * 60 * 60 }
+});
+
+propertyViewerSchema.index({ property: 1, viewerKey: 1, day: 1 }, { unique: true });
+
+module.exports = mongoose.model('PropertyViewer', propertyViewerSchema);
@@ -0,0 +1,80 @@
+const mongoose = require('mongoose');
+
+// A prospective tenant's application for a rental listing; the rental
+// counterpart of a purchase Offer
+const rentalApplicationSchema = new mongoose.Schema({
+  property: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'Property',
+    required: true
+  },
+  applicant: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  agent: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  occupants: {
+    adults: { type: Number, min: [1, 'At least one adult occupant is required'], default: 1 },
+    children: { type: Number, min: 0, default: 0 },
+    pets: { type: Boolean, default: false },
+    details: { type: String, trim: true, maxlength: 500 }
+  },
+  moveInDate: {
+    type: Date,
+    required: [true, 'Move-in date is required']
+  },
+  leaseMonths: {
+    type: Number,
+    min: [1, 'Lease must be at least 1 month'],
+    max: [120, 'Lease cannot exceed 120 months']
+  },
+  employment: {
+    status: {
+      type: String,
+      enum: ['salaried', 'self-employed', 'student', 'retired', 'unemployed', 'other'],
+      required: [true, 'Employment status is required']
+    },
+    employer: { type: String, trim: true },
+    jobTitle: { type: String, trim: true },
+    monthlyIncome: { type: Number, min: 0 }
+  },
+  proposedRent: {
+    type: Number,
+    required: [true, 'Proposed rent is required'],
+    min: [1, 'Proposed rent must be greater than 0']
+  },
+  message: {
+    type: String,
+    trim: true,
+    maxlength: 1000
+  },
+  status: {
+    type: String,
+    enum: ['submitted', 'shortlisted', 'approved', 'declined', 'withdrawn', 'closed'],
+    default: 'submitted'
+  },
+  // Every status change, see utils/rentalApplications
+  statusHistory: [{
+    from: { type: String },
+    to: { type: String, required: true },
+    actor: { type: mongoose.Schema.Types.ObjectId, ref: 'User' },
+    reason: { type: String },
+    date: { type: Date, default: Date.now }
+  }],
+  decisionReason: { type: String },
+  decidedAt: { type: Date },
+  leaseStartDate: { type: Date }
+}, {
+  timestamps: true
+});
+
+rentalApplicationSchema.index({ property: 1, status: 1 });
+rentalApplicationSchema.index({ applicant: 1, createdAt: -1 });
+rentalApplicationSchema.index({ agent: 1, status: 1, createdAt: -1 });
+
+module.exports = mongoose.model('RentalApplication', rentalApplicationSchema);
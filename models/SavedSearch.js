@@ -0,0 +1,53 @@
+const crypto = require('crypto');
+const mongoose = require('mongoose');
+
+// A GET /api/properties filter set saved by a user, with new-listing alerts
+const savedSearchSchema = new mongoose.Schema({
+  user: {
+    type: mongoose.Schema.Types.ObjectId,
+    ref: 'User',
+    required: true
+  },
+  name: {
+    type: String,
+    required: [true, 'Search name is required'],
+    trim: true,
+    maxlength: [100, 'Search name cannot exceed 100 characters']
+  },
+  // Listing query parameters (q, propertyType, city, minPrice, near, ...)
+  filters: {
+    type: Object,
+    default: {}
+  },
+  frequency: {
+    type: String,
+    enum: ['instant', 'daily', 'weekly'],
+    default: 'daily'
+  },
+  isActive: {
+    type: Boolean,
+    default: true
+  },
+  unsubscribeToken: {
+    type: String,
+    unique: true,
+    default: () => crypto.randomBytes(24).toString('hex')
+  },
+  // Listings published after this have not been alerted yet
+  lastNotifiedAt: {
+    type: Date,
+    default: Date.now
+  },
+  lastMatchCount: {
+    type: Number,
+    default: 0
+  },
+  unsubscribedAt: Date
+}, {
+  timestamps: true
+});
+
+savedSearchSchema.index({ user: 1, createdAt: -1 });
+savedSearchSchema.index({ isActive: 1, frequency: 1, lastNotifiedAt: 1 });
+
+module.exports = mongoose.model('SavedSearch', savedSearchSchema);
@@ -71,6 +71,13 @@ const userSchema = new mongoose.Schema({
     type: mongoose.Schema.Types.ObjectId,
     ref: 'Property'
   }],
+  // Which alerts to send about saved properties (see utils/savedPropertyAlerts)
+  alertPreferences: {
+    priceDrop: { type: Boolean, default: true },
+    statusChange: { type: Boolean, default: true },
+    newVisitSlots: { type: Boolean, default: true },
+    email: { type: Boolean, default: true }
+  },
   agentProfile: {
     licenseNumber: {
       type: String,
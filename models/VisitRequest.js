@@ -7,6 +7,8 @@ const visitRequestSchema = new mongoose.Schema({
 	scheduledAt: { type: Date, required: true },
 	status: { type: String, enum: ['pending', 'approved', 'rejected', 'visited', 'not visited'], default: 'pending' },
 	note: { type: String },
+	// Buyers view homes for sale, prospective tenants view rentals
+	purpose: { type: String, enum: ['purchase', 'rental'], default: 'purchase' },
 }, { timestamps: true });
 
 visitRequestSchema.index({ recipient: 1, status: 1, scheduledAt: 1 });
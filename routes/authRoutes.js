@@ -17,6 +17,8 @@ const {
   googleFailure
 } = require('../controllers/authController');
 const { protect, authorize } = require('../middleware/auth');
+const { ALERT_KINDS } = require('../utils/savedPropertyAlerts');
+const { recordSave } = require('../utils/propertyEngagement');
 
 // @route   POST /api/auth/register
 // @desc    Register a new user
@@ -109,6 +111,7 @@ router.post('/saved/:propertyId', protect, async (req, res) => {
     if (!exists) {
       user.savedProperties = [...(user.savedProperties || []), propertyId];
       await user.save();
+      await recordSave(propertyId);
     }
     res.status(201).json({ success: true, message: 'Saved', data: user.savedProperties });
   } catch (e) { res.status(500).json({ success: false, message: 'Failed to save property' }); }
@@ -125,6 +128,31 @@ router.delete('/saved/:propertyId', protect, async (req, res) => {
   } catch (e) { res.status(500).json({ success: false, message: 'Failed to remove saved property' }); }
 });
 
+// Alerts about saved properties: price drops, status changes, new visit slots
+router.get('/alert-preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('alertPreferences');
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    res.json({ success: true, data: user.alertPreferences });
+  } catch (e) { res.status(500).json({ success: false, message: 'Failed to fetch alert preferences' }); }
+});
+
+router.put('/alert-preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId);
+    if (!user) return res.status(404).json({ success: false, message: 'User not found' });
+    for (const key of [...ALERT_KINDS, 'email']) {
+      if (req.body[key] === undefined) continue;
+      if (typeof req.body[key] !== 'boolean') {
+        return res.status(400).json({ success: false, message: `${key} must be true or false` });
+      }
+      user.alertPreferences[key] = req.body[key];
+    }
+    await user.save();
+    res.json({ success: true, message: 'Alert preferences updated', data: user.alertPreferences });
+  } catch (e) { res.status(500).json({ success: false, message: 'Failed to update alert preferences' }); }
+});
+
 // @route   POST /api/auth/make-admin
 // @desc    Make current user admin (for testing purposes)
 // @access  Private
@@ -6,6 +6,73 @@ const Property = require('../models/Property');
 const { protect } = require('../middleware/auth');
 const transporter = require('../utils/mailer');
 const { createNotification, notifyAdmins } = require('../utils/notificationService');
+const { checkAdvanceEligibility, getAdvanceQuote, captureAdvancePayment } = require('../utils/advancePaymentService');
+const { initiateAdvanceRefund, refundableAmount } = require('../utils/refundService');
+const {
+  partyRole,
+  latestOpenRound,
+  addCounterOffer,
+  acceptOpenRound,
+  closeOpenRound,
+  notifyCounterparty
+} = require('../utils/offerNegotiation');
+const { offerValidityEnd, advanceDeadline } = require('../utils/offerDeadlines');
+const { findHoldingOffer, holdPropertyForOffer, closeCompetingOffers } = require('../utils/competingOffers');
+const { releaseProperty } = require('../utils/propertyAvailability');
+const { transitionOffer, transitionErrorBody } = require('../utils/offerStateMachine');
+const { recordPropertySale } = require('../utils/closingService');
+const { alertStatusChange } = require('../utils/savedPropertyAlerts');
+
+// Buckets for a buyer's offer history in GET /my and GET /:userId
+const MY_OFFER_GROUPS = {
+  active: ['pending', 'on_hold', 'accepted', 'advance_paid'],
+  completed: ['sold'],
+  withdrawn: ['withdrawn'],
+  closed: ['rejected', 'expired', 'cancelled', 'refunded', 'closed']
+};
+
+const groupOffersByState = (offers) => {
+  const groups = Object.fromEntries(Object.keys(MY_OFFER_GROUPS).map((group) => [group, []]));
+  for (const offer of offers) {
+    const group = Object.keys(MY_OFFER_GROUPS).find((key) => MY_OFFER_GROUPS[key].includes(offer.status)) || 'closed';
+    groups[group].push(offer);
+  }
+  return groups;
+};
+
+// Buyer withdraws their own offer. Only allowed before an advance is paid;
+// a property held for an accepted offer goes back on the market.
+const withdrawOffer = async (offer, user, reason) => {
+  if (offer.advancePaid) {
+    return {
+      error: 'An advance has been paid on this purchase request. Please contact support to cancel it.',
+      statusCode: 409,
+      details: { currentStatus: offer.status }
+    };
+  }
+
+  const previousStatus = offer.status;
+  const moved = transitionOffer(offer, 'withdrawn', { actor: user, reason: reason || 'Withdrawn by buyer' });
+  if (moved.error) return moved;
+
+  const round = closeOpenRound(offer, 'withdrawn');
+  offer.heldBy = undefined;
+  offer.withdrawnAt = new Date();
+  offer.withdrawalReason = reason;
+  offer.updatedAt = new Date();
+  await offer.save();
+
+  const property = previousStatus === 'accepted'
+    ? await releaseProperty(offer.propertyId, { excludeOfferId: offer._id })
+    : null;
+
+  await notifyCounterparty(offer, 'buyer', {
+    title: 'Purchase Request Withdrawn',
+    message: (propTitle) => `The buyer withdrew their purchase request for ${propTitle}.${reason ? ` Reason: ${reason}` : ''}`
+  });
+
+  return { offer, round, propertyReleased: Boolean(property) };
+};
 
 // Get all offers (Admin only)
 router.get('/', protect, async (req, res) => {
@@ -56,23 +123,41 @@ router.post('/', protect, async (req, res) => {
     // Resolve investorId from auth if not provided
     const resolvedInvestorId = investorId || req.userProfile?._id;
 
+    // Rentals take tenancy applications, not purchase offers
+    const prop = await Property.findById(propertyId).select('agent listingType');
+    if (prop?.listingType === 'rent') {
+      return res.status(400).json({ message: 'This is a rental listing. Apply through /api/rental-applications instead of making a purchase offer.' });
+    }
+
     // Resolve agentId from property if not provided
     let resolvedAgentId = agentId;
     if (!resolvedAgentId) {
-      const prop = await Property.findById(propertyId).select('agent');
       if (!prop || !prop.agent) {
         return res.status(400).json({ message: 'Unable to resolve agent for this property' });
       }
       resolvedAgentId = prop.agent;
     }
 
+    const openingAmount = typeof amount === 'number' ? amount : (offerAmount || 0);
+    const openingMessage = message || "I'm interested in buying this property.";
+    const validUntil = offerValidityEnd();
     const newOffer = new Offer({
       propertyId,
       investorId: resolvedInvestorId,
       agentId: resolvedAgentId,
-      offerAmount: typeof amount === 'number' ? amount : (offerAmount || 0),
-      message: message || "I'm interested in buying this property.",
-      preferredDate: preferredDate ? new Date(preferredDate) : undefined
+      offerAmount: openingAmount,
+      message: openingMessage,
+      preferredDate: preferredDate ? new Date(preferredDate) : undefined,
+      rounds: [{
+        version: 1,
+        amount: openingAmount,
+        author: resolvedInvestorId,
+        authorRole: 'buyer',
+        message: openingMessage,
+        expiresAt: validUntil
+      }],
+      expiresAt: validUntil,
+      statusHistory: [{ to: 'pending', actor: req.userProfile?._id, reason: 'Purchase request submitted' }]
     });
 
     const savedOffer = await newOffer.save();
@@ -139,7 +224,9 @@ router.get('/my', protect, async (req, res) => {
       .populate('agentId', 'name email phone')
       .sort({ createdAt: -1 });
 
-    res.status(200).json({ success: true, count: offers.length, offers });
+    const groups = groupOffersByState(offers);
+
+    res.status(200).json({ success: true, count: offers.length, offers, groups });
   } catch (err) {
     console.error('Error fetching my offers:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
@@ -259,13 +346,43 @@ router.get('/:userId', protect, async (req, res) => {
       .populate('agentId', 'name email')
       .sort({ createdAt: -1 });
 
-    res.status(200).json({ success: true, count: offers.length, offers });
+    const groups = groupOffersByState(offers);
+
+    res.status(200).json({ success: true, count: offers.length, offers, groups });
   } catch (err) {
     console.error('Error fetching offers by userId:', err);
     res.status(500).json({ message: 'Server error', error: err.message });
   }
 });
 
+// Get the advance amount due for an accepted offer (buyer only)
+router.get('/:offerId/advance', protect, async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const eligibility = checkAdvanceEligibility(offer, req.userProfile);
+    if (eligibility.error && eligibility.statusCode === 403) {
+      return res.status(403).json({ success: false, message: eligibility.error });
+    }
+
+    const quote = await getAdvanceQuote(offer);
+    res.json({
+      success: true,
+      data: {
+        ...quote,
+        advancePaid: Boolean(offer.advancePaid),
+        payable: !eligibility.error && !eligibility.alreadyPaid
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching advance quote:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
 // Mark advance payment as paid and store transaction
 router.post('/:offerId/advance', protect, async (req, res) => {
   try {
@@ -278,79 +395,19 @@ router.post('/:offerId/advance', protect, async (req, res) => {
       return res.status(404).json({ success: false, message: 'Offer not found' });
     }
 
-    // Ensure requester is the investor
-    if (String(offer.investorId) !== String(req.userProfile._id)) {
-      return res.status(403).json({ success: false, message: 'Forbidden' });
-    }
-
-    // Check if advance is already paid
-    if (offer.advancePaid) {
-      return res.json({ success: true, message: 'Advance already paid.' });
-    }
-
-    // Allow payment only if status === "accepted"
-    if (offer.status !== 'accepted') {
-      return res.status(400).json({ 
-        success: false, 
-        message: 'Purchase request must be accepted before advance payment' 
-      });
-    }
-
-    // Set advance payment details
-    offer.advancePaid = true;
-    offer.advanceAmount = Number(amount || 0);
-    offer.advancePaidAt = new Date();
-    offer.paymentDetails = {
-      amount: Number(amount || 0),
+    const result = await captureAdvancePayment(offer, req.userProfile, {
       orderId,
       paymentId,
       signature,
       method,
-      date: new Date()
-    };
-
-    // Save the offer
-    await offer.save();
-
-    try {
-      const [agentUser, investorUser, property] = await Promise.all([
-        User.findById(offer.agentId).select('name email'),
-        User.findById(offer.investorId).select('name email'),
-        Property.findById(offer.propertyId).select('title')
-      ]);
-      
-      await createNotification({
-        userId: offer.agentId,
-        type: 'payment',
-        title: 'Advance Payment Received',
-        message: `${investorUser?.name || 'Buyer'} paid advance for ${property?.title || 'the property'}.`,
-        metadata: { offerId: offer._id, amount }
-      });
-      await notifyAdmins(
-        'payment',
-        'Advance Payment Received',
-        `${investorUser?.name || 'Buyer'} paid advance for ${property?.title || 'the property'}.`,
-        { offerId: offer._id, amount }
-      );
-      
-      if (agentUser?.email) {
-        await transporter.sendMail({
-          from: process.env.EMAIL_USER,
-          to: agentUser.email,
-          subject: 'Advance Payment Received',
-          html: `
-            <div style="font-family: Arial, sans-serif; max-width: 600px;">
-              <h2 style="margin:0 0 12px 0;">Advance Payment Received</h2>
-              <p>The buyer ${investorUser?.name || ''} has paid an advance for <strong>${property?.title || 'the property'}</strong>.</p>
-              <p>Amount: <strong>₹${Number(amount || 0).toLocaleString('en-IN')}</strong></p>
-              <p>Payment ID: ${paymentId || ''}</p>
-              <p>Order ID: ${orderId || ''}</p>
-            </div>
-          `
-        });
-      }
-    } catch (notifyErr) {
-      console.warn('Failed to send advance payment notifications:', notifyErr?.message || notifyErr);
+      amount,
+      via: 'offers'
+    });
+    if (result.alreadyPaid) {
+      return res.json({ success: true, message: 'Advance already paid.' });
+    }
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
     }
 
     res.json({ success: true, message: 'Advance payment successful.' });
@@ -376,20 +433,40 @@ router.post('/:offerId/sell', protect, async (req, res) => {
     if (!offer.advancePaid) {
       return res.status(400).json({ success: false, message: 'Advance payment is required before finalizing sale' });
     }
+    // Offers paid before statuses were tracked may still read 'accepted'
+    if (offer.status === 'accepted') {
+      transitionOffer(offer, 'advance_paid', { actor: requester, reason: 'Advance paid before sale' });
+    }
+    const sale = transitionOffer(offer, 'sold', { actor: requester, reason: 'Sale finalized' });
+    if (sale.error) {
+      return res.status(sale.statusCode).json(transitionErrorBody(sale));
+    }
 
     const property = await Property.findById(offer.propertyId?._id || offer.propertyId);
     if (!property) {
       return res.status(404).json({ success: false, message: 'Associated property not found' });
     }
 
-    property.status = 'sold';
     // Keep property active in database, just change status to 'sold'
-    await property.save();
+    const { finalPrice, closingDate, commissionPercent, agentSharePercent } = req.body || {};
+    const sold = await recordPropertySale(offer, property, {
+      finalPrice,
+      closingDate,
+      commissionPercent,
+      agentSharePercent,
+      actor: requester
+    });
+    if (sold.error) {
+      return res.status(sold.statusCode).json({ success: false, message: sold.error });
+    }
 
-    offer.status = 'advance_paid';
     offer.updatedAt = new Date();
     await offer.save();
 
+    // Close every other offer on the property and tell those buyers
+    await closeCompetingOffers(offer, property);
+    alertStatusChange(sold.property, 'sold');
+
     try {
       await createNotification({
         userId: offer.investorId?._id,
@@ -408,6 +485,7 @@ router.post('/:offerId/sell', protect, async (req, res) => {
             <div style="font-family: Arial, sans-serif; max-width: 600px;">
               <h2 style="margin:0 0 12px 0;">Congratulations!</h2>
               <p>Your property purchase for <strong>${property.title}</strong> has been marked as sold.</p>
+              <p>Final price: <strong>₹${sold.closing.finalPrice.toLocaleString('en-IN')}</strong> (advance credited: ₹${sold.closing.advanceCredited.toLocaleString('en-IN')}, balance due: ₹${sold.closing.balanceDue.toLocaleString('en-IN')})</p>
               <p>Our team will contact you soon with the next steps.</p>
             </div>
           `
@@ -417,18 +495,252 @@ router.post('/:offerId/sell', protect, async (req, res) => {
       console.warn('Failed to send sold property notification:', notifyErr?.message || notifyErr);
     }
 
-    res.status(200).json({ success: true, message: 'Property marked as sold successfully', data: { offer, property } });
+    res.status(200).json({
+      success: true,
+      message: 'Property marked as sold successfully',
+      data: { offer, property: sold.property, closing: sold.closing }
+    });
   } catch (err) {
     console.error('Error marking property as sold:', err);
     res.status(500).json({ success: false, message: 'Server error', error: err.message });
   }
 });
 
+// Cancel an advance-paid offer and refund its advance, fully or partially (Admin only)
+router.post('/:offerId/refund', protect, async (req, res) => {
+  try {
+    const requester = req.userProfile;
+    if (!requester || requester.userType !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Access denied' });
+    }
+
+    const { amount, reason } = req.body || {};
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const result = await initiateAdvanceRefund(offer, { amount, reason, actor: requester });
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error, currentStatus: offer.status });
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Refund initiated',
+      data: {
+        offer: result.offer,
+        refund: result.refund,
+        propertyReleased: result.propertyReleased,
+        refundableAmount: refundableAmount(result.offer)
+      }
+    });
+  } catch (err) {
+    console.error('Error initiating refund:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Get refund status for an offer (Admin, assigned agent or buyer)
+router.get('/:offerId/refunds', protect, async (req, res) => {
+  try {
+    const requester = req.userProfile;
+    const offer = await Offer.findById(req.params.offerId)
+      .select('investorId agentId status advanceAmount refundedAmount refunds cancelledAt cancellationReason')
+      .populate('refunds.initiatedBy', 'name email');
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const isParty = [String(offer.investorId), String(offer.agentId)].includes(String(requester._id));
+    if (requester.userType !== 'admin' && !isParty) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    res.status(200).json({
+      success: true,
+      data: {
+        status: offer.status,
+        advanceAmount: offer.advanceAmount || 0,
+        refundedAmount: offer.refundedAmount || 0,
+        refundableAmount: refundableAmount(offer),
+        cancelledAt: offer.cancelledAt,
+        cancellationReason: offer.cancellationReason,
+        refunds: offer.refunds
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching refunds:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Get the negotiation history of an offer (Admin, assigned agent or buyer)
+router.get('/:offerId/rounds', protect, async (req, res) => {
+  try {
+    const offer = await Offer.findById(req.params.offerId)
+      .select('investorId agentId status offerAmount rounds')
+      .populate('rounds.author', 'name userType');
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    if (!partyRole(offer, req.userProfile)) {
+      return res.status(403).json({ success: false, message: 'Forbidden' });
+    }
+
+    const open = latestOpenRound(offer);
+    res.status(200).json({
+      success: true,
+      data: {
+        status: offer.status,
+        offerAmount: offer.offerAmount,
+        openRound: open,
+        awaiting: open ? (open.authorRole === 'buyer' ? 'agent' : 'buyer') : null,
+        rounds: offer.rounds
+      }
+    });
+  } catch (err) {
+    console.error('Error fetching offer rounds:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Make a counter-offer (agent/admin or buyer, answering the other side's round)
+router.post('/:offerId/counter', protect, async (req, res) => {
+  try {
+    const { amount, message, expiresAt } = req.body || {};
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+
+    const result = addCounterOffer(offer, req.userProfile, { amount, message, expiresAt });
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+    await offer.save();
+
+    const formatted = result.round.amount.toLocaleString('en-IN');
+    await notifyCounterparty(offer, result.role, {
+      title: 'New Counter-Offer',
+      message: (propTitle) => result.role === 'agent'
+        ? `The agent proposed ₹${formatted} for ${propTitle}. You can accept, counter or withdraw.`
+        : `The buyer countered with ₹${formatted} for ${propTitle}.`
+    });
+
+    res.status(201).json({ success: true, message: 'Counter-offer sent', data: { offer, round: result.round } });
+  } catch (err) {
+    console.error('Error creating counter-offer:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Buyer withdraws their own pending or accepted (unpaid) offer
+router.post('/:offerId/withdraw', protect, async (req, res) => {
+  try {
+    const { reason } = req.body || {};
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    if (partyRole(offer, req.userProfile) !== 'buyer') {
+      return res.status(403).json({ success: false, message: 'Only the buyer can withdraw this purchase request' });
+    }
+
+    const result = await withdrawOffer(offer, req.userProfile, typeof reason === 'string' ? reason.trim() || undefined : undefined);
+    if (result.error) {
+      return res.status(result.statusCode).json(transitionErrorBody(result));
+    }
+
+    res.status(200).json({
+      success: true,
+      message: 'Purchase request withdrawn',
+      data: { offer: result.offer, propertyReleased: result.propertyReleased }
+    });
+  } catch (err) {
+    console.error('Error withdrawing offer:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
+// Buyer responds to the agent's counter-offer: accept, counter or withdraw
+router.post('/:offerId/respond', protect, async (req, res) => {
+  try {
+    const { action, amount, message, expiresAt } = req.body || {};
+    if (!['accept', 'counter', 'withdraw'].includes(action)) {
+      return res.status(400).json({ success: false, message: 'action must be accept, counter or withdraw' });
+    }
+
+    const offer = await Offer.findById(req.params.offerId);
+    if (!offer) {
+      return res.status(404).json({ success: false, message: 'Offer not found' });
+    }
+    if (partyRole(offer, req.userProfile) !== 'buyer') {
+      return res.status(403).json({ success: false, message: 'Only the buyer can respond to a counter-offer' });
+    }
+    if (offer.status !== 'pending') {
+      return res.status(409).json({
+        success: false,
+        message: 'Only pending purchase requests can be negotiated',
+        currentStatus: offer.status
+      });
+    }
+
+    if (action === 'withdraw') {
+      const withdrawal = await withdrawOffer(offer, req.userProfile, message);
+      if (withdrawal.error) {
+        return res.status(withdrawal.statusCode).json(transitionErrorBody(withdrawal));
+      }
+      return res.status(200).json({ success: true, message: 'Offer withdrawn', data: { offer, round: withdrawal.round } });
+    }
+
+    let result;
+    let notice;
+    if (action === 'accept') {
+      const holding = await findHoldingOffer(offer.propertyId, offer._id);
+      result = holding
+        ? { error: 'Another offer on this property has already been accepted', statusCode: 409 }
+        : acceptOpenRound(offer, req.userProfile);
+      if (!result.error) {
+        transitionOffer(offer, 'accepted', { actor: req.userProfile, reason: 'Buyer accepted counter-offer' });
+        offer.advanceDueAt = advanceDeadline();
+        notice = {
+          title: 'Counter-Offer Accepted',
+          message: (propTitle) => `The buyer accepted your counter-offer of ₹${result.round.amount.toLocaleString('en-IN')} for ${propTitle}.`
+        };
+      }
+    } else {
+      result = addCounterOffer(offer, req.userProfile, { amount, message, expiresAt });
+      if (!result.error) {
+        notice = {
+          title: 'New Counter-Offer',
+          message: (propTitle) => `The buyer countered with ₹${result.round.amount.toLocaleString('en-IN')} for ${propTitle}.`
+        };
+      }
+    }
+
+    if (result.error) {
+      return res.status(result.statusCode).json({ success: false, message: result.error });
+    }
+    await offer.save();
+    if (action === 'accept') {
+      await holdPropertyForOffer(offer);
+    }
+    await notifyCounterparty(offer, 'buyer', notice);
+
+    const outcomes = { accept: 'accepted', counter: 'countered' };
+    res.status(200).json({ success: true, message: `Offer ${outcomes[action]}`, data: { offer, round: result.round } });
+  } catch (err) {
+    console.error('Error responding to counter-offer:', err);
+    res.status(500).json({ success: false, message: 'Server error', error: err.message });
+  }
+});
+
 // Update offer status (Approve/Reject)
 router.put('/:offerId', protect, async (req, res) => {
   try {
     const { offerId } = req.params;
-    const { status } = req.body;
+    const { status, reason } = req.body;
     
     // Normalize and validate status
     const normalized = typeof status === 'string' ? status.toLowerCase() : '';
@@ -474,12 +786,48 @@ router.put('/:offerId', protect, async (req, res) => {
       });
     }
     
+    const previousStatus = offer.status;
+    const moved = transitionOffer(offer, mappedStatus, { actor: user, reason });
+    if (moved.error) {
+      return res.status(moved.statusCode).json(transitionErrorBody(moved));
+    }
+
+    // Only one offer per property can be accepted at a time
+    if (mappedStatus === 'accepted' && previousStatus !== 'accepted') {
+      const holding = await findHoldingOffer(offer.propertyId, offer._id);
+      if (holding) {
+        return res.status(409).json({
+          success: false,
+          message: 'Another offer on this property has already been accepted'
+        });
+      }
+    }
+
+    // The latest open round decides what accepting means
+    if (mappedStatus === 'accepted' && previousStatus === 'pending') {
+      const acceptance = acceptOpenRound(offer, user);
+      if (acceptance.error) {
+        return res.status(acceptance.statusCode).json({ success: false, message: acceptance.error });
+      }
+    } else if (mappedStatus === 'rejected') {
+      closeOpenRound(offer, 'rejected');
+    }
+
     // Update the offer
-    offer.status = mappedStatus;
+    if (mappedStatus === 'accepted' && previousStatus !== 'accepted') {
+      offer.advanceDueAt = advanceDeadline();
+    }
     offer.updatedAt = Date.now();
     
     const updatedOffer = await offer.save();
 
+    // Hold the property for an accepted offer, release it if that acceptance is undone
+    if (mappedStatus === 'accepted' && previousStatus !== 'accepted') {
+      await holdPropertyForOffer(offer);
+    } else if (previousStatus === 'accepted' && mappedStatus !== 'accepted') {
+      await releaseProperty(offer.propertyId, { excludeOfferId: offer._id });
+    }
+
     try {
       const [buyer, property] = await Promise.all([
         User.findById(offer.investorId).select('name email'),
@@ -0,0 +1,140 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const Offer = require('../models/Offer');
+const Payment = require('../models/Payment');
+const { protect, authorize } = require('../middleware/auth');
+const { razorpay, toPaise, verifyWebhookSignature } = require('../utils/razorpay');
+const { SUPPORTED_EVENTS, entryFromWebhook, processLedgerEntry } = require('../utils/paymentLedger');
+const { createAdvanceOrder } = require('../utils/advancePaymentService');
+
+// Payment: Razorpay order creation
+// When an offerId is given, the advance amount comes from the offer and the
+// order is bound to it so the payment can be verified later
+// (see POST /api/offers/:offerId/advance and POST /api/purchase/advance-payment).
+router.post('/order', protect, async (req, res) => {
+  try {
+    const { amount, currency = 'INR', receipt, offerId } = req.body || {};
+
+    if (offerId) {
+      const offer = await Offer.findById(offerId);
+      if (!offer) {
+        return res.status(404).json({ success: false, message: 'Offer not found' });
+      }
+      const result = await createAdvanceOrder(offer, req.userProfile, { amount, currency, via: 'payments' });
+      if (result.error) {
+        return res.status(result.statusCode).json({ success: false, message: result.error });
+      }
+      return res.json({ success: true, order: result.order, amount: result.amount, quote: result.quote });
+    }
+
+    const parsedAmountInRupees = Number(amount);
+    if (!Number.isFinite(parsedAmountInRupees)) {
+      return res.status(400).json({ success: false, message: 'Invalid amount' });
+    }
+
+    // Limits (configurable). Razorpay minimum is 100 paise (₹1.00)
+    const minAmountInPaise = 100;
+    const maxAmountInRupees = Number(process.env.RAZORPAY_MAX_AMOUNT_INR || 100000); // default ₹1,00,000
+    const maxAmountInPaise = Math.round(maxAmountInRupees * 100);
+
+    const minorAmount = toPaise(parsedAmountInRupees);
+    if (minorAmount < minAmountInPaise) {
+      return res.status(400).json({ success: false, message: 'Amount below minimum allowed (₹1.00)' });
+    }
+    if (minorAmount > maxAmountInPaise) {
+      return res.status(400).json({ success: false, message: 'Amount exceeds maximum allowed' });
+    }
+
+    const order = await razorpay.orders.create({ amount: minorAmount, currency, receipt: receipt || `rcpt_${Date.now()}` });
+    res.json({ success: true, order });
+  } catch (e) {
+    console.error('Failed to create Razorpay order', e?.error || e);
+    res.status(500).json({
+      success: false,
+      message: e?.error?.description || e?.message || 'Failed to create payment order'
+    });
+  }
+});
+
+// Razorpay webhook receiver
+// Configure the dashboard webhook with RAZORPAY_WEBHOOK_SECRET and subscribe to
+// payment.captured, payment.failed and refund.processed.
+router.post('/webhook', async (req, res) => {
+  try {
+    const signature = req.headers['x-razorpay-signature'];
+    if (!verifyWebhookSignature(req.rawBody, signature)) {
+      console.warn('Rejected Razorpay webhook with invalid signature');
+      return res.status(400).json({ success: false, message: 'Invalid webhook signature' });
+    }
+
+    const body = req.body || {};
+    if (!SUPPORTED_EVENTS.includes(body.event)) {
+      return res.status(200).json({ success: true, message: `Event ${body.event} ignored` });
+    }
+
+    const data = await entryFromWebhook(body, req.headers['x-razorpay-event-id']);
+    const result = await processLedgerEntry(data);
+    if (result.duplicate) {
+      return res.status(200).json({ success: true, message: 'Event already processed' });
+    }
+
+    res.status(200).json({ success: true, outcome: result.outcome });
+  } catch (e) {
+    console.error('Failed to process Razorpay webhook', e);
+    // Non-2xx makes Razorpay retry the delivery
+    res.status(500).json({ success: false, message: 'Failed to process webhook' });
+  }
+});
+
+// Payment ledger (Admin only)
+router.get('/ledger', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { offerId, event, outcome } = req.query;
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 50, 1), 200);
+    const page = Math.max(parseInt(req.query.page, 10) || 1, 1);
+
+    const allowed = (path, value) => typeof value === 'string' && Payment.schema.path(path).enumValues.includes(value);
+    if (offerId && !mongoose.Types.ObjectId.isValid(offerId)) {
+      return res.status(400).json({ success: false, message: 'Invalid offerId' });
+    }
+    if ((event && !allowed('event', event)) || (outcome && !allowed('outcome', outcome))) {
+      return res.status(400).json({ success: false, message: 'Invalid event or outcome filter' });
+    }
+
+    const filter = {};
+    if (offerId) filter.offerId = offerId;
+    if (event) filter.event = event;
+    if (outcome) filter.outcome = outcome;
+
+    const [entries, total] = await Promise.all([
+      Payment.find(filter)
+        .select('-payload')
+        .populate({
+          path: 'offerId',
+          select: 'propertyId investorId agentId status advancePaid',
+          populate: [
+            { path: 'propertyId', select: 'title' },
+            { path: 'investorId', select: 'name email' }
+          ]
+        })
+        .sort({ createdAt: -1 })
+        .skip((page - 1) * limit)
+        .limit(limit),
+      Payment.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        entries,
+        pagination: { current: page, pages: Math.ceil(total / limit), total }
+      }
+    });
+  } catch (e) {
+    console.error('Failed to fetch payment ledger', e);
+    res.status(500).json({ success: false, message: 'Failed to fetch payment ledger' });
+  }
+});
+
+module.exports = router;
@@ -0,0 +1,291 @@
+const express = require('express');
+const router = express.Router();
+const Project = require('../models/Project');
+const Property = require('../models/Property');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
+const { PUBLISHED_CONDITION } = require('../utils/listingModeration');
+const { escapeRegex, parsePagination } = require('../utils/propertyQuery');
+const { geocodeAddress, locationFromInput } = require('../utils/geocoder');
+const { alertInstantSearches } = require('../utils/savedSearchAlerts');
+const {
+  MAX_UNITS_PER_REQUEST,
+  UNIT_SELECT,
+  buildUnitListing,
+  summarizeUnits,
+  syncUnitsWithProject
+} = require('../utils/projectUnits');
+
+// Fields a project's agent may not change directly
+const PROTECTED_FIELDS = ['agent', 'createdBy', 'isActive', 'locationSource', 'createdAt', 'updatedAt'];
+
+// Units the public can see: live, published listings
+const visibleUnits = { isActive: true, ...PUBLISHED_CONDITION };
+
+// Project the current admin or its agent may manage; sends 404/403 itself
+const findManagedProject = async (req, res) => {
+  const project = await Project.findById(req.params.id);
+  if (!project || !project.isActive) {
+    res.status(404).json({
+      success: false,
+      message: 'Project not found'
+    });
+    return null;
+  }
+  if (req.userProfile.userType === 'agent' && project.agent.toString() !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to manage this project'
+    });
+    return null;
+  }
+  return project;
+};
+
+// @route   GET /api/projects
+// @desc    Active projects (?city=, ?builder=) with unit availability and price ranges
+// @access  Public
+router.get('/', async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { isActive: true };
+    if (req.query.city) filter['address.city'] = new RegExp(escapeRegex(req.query.city), 'i');
+    if (req.query.builder) filter['builder.name'] = new RegExp(escapeRegex(req.query.builder), 'i');
+
+    const [projects, total] = await Promise.all([
+      Project.find(filter).sort({ createdAt: -1 }).skip(skip).limit(limit).lean(),
+      Project.countDocuments(filter)
+    ]);
+    const units = await Property.find({ ...visibleUnits, project: { $in: projects.map((project) => project._id) } })
+      .select('project price status bedrooms unit')
+      .lean();
+
+    res.json({
+      success: true,
+      data: {
+        projects: projects.map((project) => ({
+          ...project,
+          units: summarizeUnits(units.filter((unit) => String(unit.project) === String(project._id)))
+        })),
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      },
+      message: 'Projects retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching projects:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch projects',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/projects/:id
+// @desc    A project with its units (all units for admins and the project's agent)
+// @access  Public
+router.get('/:id', optionalAuth, async (req, res) => {
+  try {
+    const project = await Project.findById(req.params.id)
+      .populate('agent', 'name email phone agentProfile');
+    if (!project || !project.isActive) {
+      return res.status(404).json({
+        success: false,
+        message: 'Project not found'
+      });
+    }
+
+    const viewer = req.userProfile;
+    const canManage = Boolean(viewer) && (viewer.userType === 'admin'
+      || (Boolean(project.agent) && project.agent._id.equals(viewer._id)));
+    const units = await Property.find({ project: project._id, ...(canManage ? {} : visibleUnits) })
+      .select(UNIT_SELECT)
+      .sort({ 'unit.tower': 1, 'unit.floor': 1, 'unit.unitNumber': 1 });
+
+    res.json({
+      success: true,
+      data: {
+        project,
+        units,
+        summary: summarizeUnits(units)
+      },
+      message: 'Project retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch project',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/projects
+// @desc    Create a project (shared address, amenities, media and builder details)
+// @access  Private (Admin or Agent)
+router.post('/', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const { location, latitude, longitude, ...details } = req.body;
+    PROTECTED_FIELDS.forEach((field) => delete details[field]);
+
+    const placed = locationFromInput({ location, latitude, longitude }) || geocodeAddress(details.address);
+    if (placed?.error) {
+      return res.status(400).json({
+        success: false,
+        message: placed.error
+      });
+    }
+
+    const project = await Project.create({
+      ...details,
+      location: placed?.location,
+      locationSource: placed?.source,
+      agent: req.user.userId,
+      createdBy: req.user.userId
+    });
+
+    res.status(201).json({
+      success: true,
+      data: project,
+      message: 'Project created successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error creating project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to create project',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/projects/:id
+// @desc    Update a project; address and location changes are copied to its units
+// @access  Private (Admin or the project's Agent)
+router.put('/:id', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const project = await findManagedProject(req, res);
+    if (!project) return;
+
+    const { location, latitude, longitude, ...changes } = req.body;
+    PROTECTED_FIELDS.forEach((field) => delete changes[field]);
+    const manual = locationFromInput({ location, latitude, longitude });
+    if (manual?.error) {
+      return res.status(400).json({
+        success: false,
+        message: manual.error
+      });
+    }
+
+    if (changes.address) {
+      changes.address = { ...project.toObject().address, ...changes.address };
+    }
+    project.set(changes);
+    let moved = false;
+    if (manual) {
+      project.location = manual.location;
+      project.locationSource = manual.source;
+      moved = true;
+    } else if (changes.address && project.locationSource !== 'manual') {
+      const placed = geocodeAddress(project.address);
+      if (placed) {
+        project.location = placed.location;
+        project.locationSource = placed.source;
+      }
+      moved = true;
+    }
+    await project.save();
+    if (moved) await syncUnitsWithProject(project);
+
+    res.json({
+      success: true,
+      data: project,
+      message: 'Project updated successfully'
+    });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({
+        success: false,
+        message: error.message
+      });
+    }
+    console.error('Error updating project:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to update project',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/projects/:id/units
+// @desc    Add units ({ units: [{ price, floor, configuration, bedrooms, ... }], submit? });
+//          each becomes a listing at the project's address; its amenities and media stay on the project
+// @access  Private (Admin or the project's Agent)
+router.post('/:id/units', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const project = await findManagedProject(req, res);
+    if (!project) return;
+
+    const inputs = Array.isArray(req.body.units) ? req.body.units : [req.body];
+    if (inputs.length === 0 || inputs.length > MAX_UNITS_PER_REQUEST) {
+      return res.status(400).json({
+        success: false,
+        message: `Add between 1 and ${MAX_UNITS_PER_REQUEST} units at a time`
+      });
+    }
+
+    const isAdmin = req.userProfile.userType === 'admin';
+    const listings = inputs.map((input) => buildUnitListing(project, input, {
+      actor: req.user.userId,
+      isAdmin,
+      submit: req.body.submit
+    }));
+    // Check every unit before saving any
+    const invalid = [];
+    for (const [index, listing] of listings.entries()) {
+      const error = await listing.validate().then(() => null, (err) => err);
+      if (error) invalid.push({ index, message: error.message });
+    }
+    if (invalid.length) {
+      return res.status(400).json({
+        success: false,
+        message: 'Some units are invalid',
+        errors: invalid
+      });
+    }
+
+    for (const listing of listings) {
+      await listing.save();
+    }
+    if (isAdmin) {
+      // In the background, one unit at a time
+      listings.reduce((chain, listing) => chain.then(() => alertInstantSearches(listing)), Promise.resolve());
+    }
+
+    res.status(201).json({
+      success: true,
+      data: listings,
+      message: `${listings.length} unit${listings.length === 1 ? '' : 's'} added`
+    });
+  } catch (error) {
+    console.error('Error adding project units:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to add units',
+      error: error.message
+    });
+  }
+});
+
+module.exports = router;
@@ -3,8 +3,84 @@ const axios = require('axios');
 const router = express.Router();
 const Property = require('../models/Property');
 const User = require('../models/User');
-const { protect, authorize } = require('../middleware/auth');
+const { protect, authorize, optionalAuth } = require('../middleware/auth');
 const { createNotification } = require('../utils/notificationService');
+const {
+  buildPropertyFilter,
+  buildSort,
+  parsePagination,
+  parseGeoParams,
+  withGeoConditions,
+  buildGeoPipeline,
+  buildGroupedSearchPipeline,
+  buildFacetPipeline,
+  formatFacets,
+  buildHighlights
+} = require('../utils/propertyQuery');
+const { geocodeAddress, locationFromInput } = require('../utils/geocoder');
+const { priceChangeEntry, lastPriceChangeFrom } = require('../utils/priceHistory');
+const { alertPriceDrop, alertStatusChange } = require('../utils/savedPropertyAlerts');
+const { alertInstantSearches } = require('../utils/savedSearchAlerts');
+const { recommendProperties, findSimilarProperties } = require('../utils/recommendations');
+const { recordView, getEngagement } = require('../utils/propertyEngagement');
+const { parseCompareIds, compareProperties } = require('../utils/propertyComparison');
+const { attachListings, attachProjects } = require('../utils/projectUnits');
+const {
+  isPublished,
+  moveListing,
+  notifyListingAgent,
+  notifyListingSubmitted
+} = require('../utils/listingModeration');
+const {
+  imageUpload,
+  uploadErrorMessage,
+  processPropertyImage,
+  removePropertyImage
+} = require('../utils/imageProcessing');
+
+// Statuses set by the offer, closing and rental application flows, never by
+// a plain update
+const FLOW_OWNED_STATUSES = ['pending', 'sold', 'rented'];
+
+// Listing content a reviewer signed off on; an agent changing any of it on a
+// published listing sends the listing back for review
+const REVIEWED_FIELDS = [
+  'title', 'description', 'propertyType', 'listingType', 'rental', 'bedrooms', 'bathrooms',
+  'area', 'address', 'location', 'features'
+];
+
+// Parse multipart "images" fields, answering 400 for bad type, size or count
+const receiveImages = (req, res, next) => {
+  imageUpload.array('images')(req, res, (err) => {
+    if (err) {
+      return res.status(400).json({
+        success: false,
+        message: uploadErrorMessage(err)
+      });
+    }
+    next();
+  });
+};
+
+// Property the current admin or assigned agent may edit; sends 404/403 itself
+const findEditableProperty = async (req, res) => {
+  const property = await Property.findById(req.params.id);
+  if (!property) {
+    res.status(404).json({
+      success: false,
+      message: 'Property not found'
+    });
+    return null;
+  }
+  if (req.userProfile.userType === 'agent' && property.agent.toString() !== req.user.userId) {
+    res.status(403).json({
+      success: false,
+      message: 'Not authorized to update this property'
+    });
+    return null;
+  }
+  return property;
+};
 
 // @route   GET /api/properties/debug/user
 // @desc    Debug current user
@@ -88,75 +164,106 @@ router.get('/test', async (req, res) => {
 });
 
 // @route   GET /api/properties
-// @desc    Get all active properties (Public)
+// @desc    Get all active properties, optionally keyword-searched with ?q= or
+//          map-searched with ?near=lat,lng&radius=km / ?bbox=minLng,minLat,maxLng,maxLat;
+//          ?recentlyReduced=true[&reducedWithinDays=30] for recent price cuts;
+//          ?listingType=sale|rent (sale by default), plus furnishing, availableBy, leaseMonths and
+//          maxDeposit for rentals; ?groupByProject=true folds project units
+//          into one result per project (Public)
 // @access  Public
 router.get('/', async (req, res) => {
   try {
-    const {
-      page = 1,
-      limit = 10,
-      propertyType,
-      minPrice,
-      maxPrice,
-      city,
-      state,
-      bedrooms,
-      bathrooms,
-      sortBy
-    } = req.query;
-
-    // Build filter object - include both active and sold properties for public viewing
-    const filter = { isActive: true, status: { $in: ['active', 'sold'] } };
-
-    if (propertyType) filter.propertyType = propertyType;
-    if (city) filter['address.city'] = new RegExp(city, 'i');
-    if (state) filter['address.state'] = new RegExp(state, 'i');
-    if (bedrooms) filter.bedrooms = parseInt(bedrooms);
-    if (bathrooms) filter.bathrooms = parseInt(bathrooms);
-
-    if (minPrice || maxPrice) {
-      filter.price = {};
-      if (minPrice) filter.price.$gte = parseInt(minPrice);
-      if (maxPrice) filter.price.$lte = parseInt(maxPrice);
-    }
-
-    // Build sort object
-    let sort = { createdAt: -1 }; // Default sort
-
-    if (sortBy) {
-      switch (sortBy) {
-        case 'price-low-high':
-          sort = { price: 1 };
-          break;
-        case 'price-high-low':
-          sort = { price: -1 };
-          break;
-        case 'newest':
-          sort = { createdAt: -1 };
-          break;
-        case 'oldest':
-          sort = { createdAt: 1 };
-          break;
-        default:
-          sort = { createdAt: -1 };
-      }
+    const { q, sortBy } = req.query;
+    const { page, limit, skip } = parsePagination(req.query);
+
+    // Include both active and sold properties for public viewing
+    const filter = buildPropertyFilter(req.query);
+    const textSearch = Boolean(filter.$text);
+    const geo = parseGeoParams(req.query);
+    if (geo?.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    if (geo && textSearch) {
+      return res.status(400).json({
+        success: false,
+        message: 'Keyword search cannot be combined with a map search'
+      });
+    }
+
+    // Units of the same project come back as one entry
+    if (req.query.groupByProject === 'true') {
+      const [result = {}] = await Property.aggregate(
+        buildGroupedSearchPipeline(filter, { geo, sortBy, textSearch, skip, limit })
+      );
+      const results = await attachProjects(await attachListings(result.groups || []));
+      const total = result.total?.[0]?.count || 0;
+
+      return res.json({
+        success: true,
+        data: {
+          results,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total
+          },
+          ...(geo ? { search: { point: { lat: geo.point[1], lng: geo.point[0] }, radiusKm: geo.radiusKm, bbox: geo.bbox } } : {})
+        },
+        message: 'Properties retrieved successfully'
+      });
     }
 
-    const properties = await Property.find(filter)
+    if (geo) {
+      const [results, total] = await Promise.all([
+        Property.aggregate(buildGeoPipeline(filter, geo, { sortBy, skip, limit })),
+        Property.countDocuments(withGeoConditions(filter, geo))
+      ]);
+      const properties = await Property.populate(results, [
+        { path: 'agent', select: 'name email phone agentProfile' },
+        { path: 'createdBy', select: 'name email' },
+        { path: 'project', select: 'name builder.name amenities images' }
+      ]);
+
+      return res.json({
+        success: true,
+        data: {
+          properties,
+          pagination: {
+            current: page,
+            pages: Math.ceil(total / limit),
+            total
+          },
+          search: { point: { lat: geo.point[1], lng: geo.point[0] }, radiusKm: geo.radiusKm, bbox: geo.bbox }
+        },
+        message: 'Properties retrieved successfully'
+      });
+    }
+
+    const sort = buildSort(sortBy, { textSearch });
+
+    let query = Property.find(filter);
+    if (textSearch) {
+      query = query.select({ score: { $meta: 'textScore' } });
+    }
+    const properties = await query
       .populate('agent', 'name email phone agentProfile')
       .populate('createdBy', 'name email')
+      .populate('project', 'name builder.name amenities images')
       .sort(sort)
-      .limit(limit * 1)
-      .skip((page - 1) * limit);
+      .limit(limit)
+      .skip(skip);
 
     const total = await Property.countDocuments(filter);
 
     res.json({
       success: true,
       data: {
-        properties,
+        properties: textSearch
+          ? properties.map((property) => ({ ...property.toObject(), highlights: buildHighlights(property, q) }))
+          : properties,
         pagination: {
-          current: parseInt(page),
+          current: page,
           pages: Math.ceil(total / limit),
           total
         }
@@ -173,24 +280,192 @@ router.get('/', async (req, res) => {
   }
 });
 
+// @route   GET /api/properties/facets
+// @desc    Result counts for each filter option, given the other active filters (Public)
+// @access  Public
+router.get('/facets', async (req, res) => {
+  try {
+    const geo = parseGeoParams(req.query);
+    if (geo?.error) {
+      return res.status(400).json({ success: false, message: geo.error });
+    }
+
+    const result = await Property.aggregate(buildFacetPipeline(req.query, geo));
+
+    res.json({
+      success: true,
+      data: formatFacets(result, req.query),
+      message: 'Facets retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching property facets:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch property facets',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/properties/recommended
+// @desc    Listings ranked for the current user, each with the reasons it was picked;
+//          popular listings for anonymous users or users with no history yet
+// @access  Public (personalised when logged in)
+router.get('/recommended', optionalAuth, async (req, res) => {
+  try {
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const { personalised, properties } = await recommendProperties(req.user?.userId, { limit });
+
+    res.json({
+      success: true,
+      data: { properties, personalised },
+      message: 'Recommendations retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching recommendations:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch recommendations',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/properties/compare
+// @desc    Side-by-side comparison of 2-5 listings ({ propertyIds: [...] }), with
+//          table rows, feature differences and open visit slots
+// @access  Public
+router.post('/compare', async (req, res) => {
+  try {
+    const parsed = parseCompareIds(req.body?.propertyIds);
+    if (parsed.error) {
+      return res.status(400).json({
+        success: false,
+        message: parsed.error
+      });
+    }
+
+    const result = await compareProperties(parsed.ids);
+    if (result.error) {
+      return res.status(result.statusCode).json({
+        success: false,
+        message: result.error,
+        ...result.details
+      });
+    }
+
+    res.json({
+      success: true,
+      data: result.comparison,
+      message: 'Properties compared successfully'
+    });
+  } catch (error) {
+    console.error('Error comparing properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to compare properties',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/properties/mine
+// @desc    The current agent's listings in every review state (?moderationStatus= to filter)
+// @access  Private (Admin or Agent)
+router.get('/mine', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query);
+    const filter = { agent: req.user.userId, isActive: true };
+    if (req.query.moderationStatus) filter.moderationStatus = req.query.moderationStatus;
+
+    const [properties, total] = await Promise.all([
+      Property.find(filter).sort({ updatedAt: -1 }).skip(skip).limit(limit),
+      Property.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        properties,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      },
+      message: 'Properties retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching agent listings:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch listings',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/properties/moderation/queue
+// @desc    Listings waiting for review, oldest submission first (?status= for another state)
+// @access  Private (Admin)
+router.get('/moderation/queue', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { page, limit, skip } = parsePagination(req.query, { defaultLimit: 20 });
+    const filter = { isActive: true, moderationStatus: req.query.status || 'submitted' };
+
+    const [properties, total] = await Promise.all([
+      Property.find(filter)
+        .populate('agent', 'name email phone')
+        .sort({ submittedAt: 1, createdAt: 1 })
+        .skip(skip)
+        .limit(limit),
+      Property.countDocuments(filter)
+    ]);
+
+    res.json({
+      success: true,
+      data: {
+        properties,
+        pagination: {
+          current: page,
+          pages: Math.ceil(total / limit),
+          total
+        }
+      },
+      message: 'Review queue retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching review queue:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch review queue',
+      error: error.message
+    });
+  }
+});
+
 // @route   GET /api/properties/:id
 // @desc    Get single property by ID
 // @access  Public
-router.get('/:id', async (req, res) => {
+router.get('/:id', optionalAuth, async (req, res) => {
   try {
     const property = await Property.findById(req.params.id)
       .populate('agent', 'name email phone agentProfile')
-      .populate('createdBy', 'name email');
+      .populate('createdBy', 'name email')
+      .populate('project', 'name description builder amenities images brochureUrl constructionStatus possessionDate');
 
-    if (!property) {
+    // Unpublished listings are only visible to admins and their own agent
+    const canPreview = req.userProfile?.userType === 'admin'
+      || Boolean(req.userProfile && property?.agent && property.agent._id.equals(req.userProfile._id));
+    if (!property || (!isPublished(property) && !canPreview)) {
       return res.status(404).json({
         success: false,
         message: 'Property not found'
       });
     }
 
-    // Increment views
-    await property.incrementViews();
+    // Count the view once per viewer per window, without saving the listing
+    if (await recordView(req, property)) property.views += 1;
 
     res.json({
       success: true,
@@ -207,6 +482,129 @@ router.get('/:id', async (req, res) => {
   }
 });
 
+// @route   GET /api/properties/:id/price-history
+// @desc    Price changes of a listing, oldest first, with the overall change
+// @access  Public
+router.get('/:id/price-history', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('title price agent moderationStatus priceHistory lastPriceChange createdAt');
+
+    const canPreview = req.userProfile?.userType === 'admin'
+      || (property && String(property.agent) === String(req.userProfile?._id));
+    if (!property || (!isPublished(property) && !canPreview)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const history = property.priceHistory.map((entry) => ({
+      price: entry.price,
+      previousPrice: entry.previousPrice,
+      changePercent: entry.changePercent,
+      reason: entry.reason,
+      changedAt: entry.changedAt
+    }));
+    const firstPrice = history.length ? (history[0].previousPrice ?? history[0].price) : property.price;
+
+    res.json({
+      success: true,
+      data: {
+        propertyId: property._id,
+        currentPrice: property.price,
+        originalPrice: firstPrice,
+        totalChangePercent: firstPrice ? Math.round(((property.price - firstPrice) / firstPrice) * 10000) / 100 : 0,
+        lastPriceChange: property.lastPriceChange,
+        history
+      },
+      message: 'Price history retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching price history:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch price history',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/engagement
+// @desc    Daily views, unique viewers, saves, visit requests and offers (?days=30, max 90)
+// @access  Private (Admin or the listing's Agent)
+router.get('/:id/engagement', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id).select('title agent views');
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+    if (req.userProfile.userType === 'agent' && property.agent.toString() !== req.user.userId) {
+      return res.status(403).json({
+        success: false,
+        message: 'Not authorized to view engagement for this property'
+      });
+    }
+
+    const engagement = await getEngagement(property._id, req.query.days);
+
+    res.json({
+      success: true,
+      data: {
+        property: { _id: property._id, title: property.title, totalViews: property.views },
+        ...engagement
+      },
+      message: 'Engagement retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching property engagement:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch engagement',
+      error: error.message
+    });
+  }
+});
+
+// @route   GET /api/properties/:id/similar
+// @desc    Comparable active listings (same type, same city or nearby, similar price),
+//          most similar first
+// @access  Public
+router.get('/:id/similar', optionalAuth, async (req, res) => {
+  try {
+    const property = await Property.findById(req.params.id)
+      .select('listingType propertyType price bedrooms area address location agent moderationStatus');
+
+    const canPreview = req.userProfile?.userType === 'admin'
+      || (property && String(property.agent) === String(req.userProfile?._id));
+    if (!property || (!isPublished(property) && !canPreview)) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 6, 1), 20);
+    const properties = await findSimilarProperties(property, { limit });
+
+    res.json({
+      success: true,
+      data: properties,
+      message: 'Similar properties retrieved successfully'
+    });
+  } catch (error) {
+    console.error('Error fetching similar properties:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to fetch similar properties',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/properties
 // @desc    Create new property
 // @access  Private (Admin or Agent)
@@ -224,14 +622,25 @@ router.post('/', protect, authorize('admin', 'agent'), async (req, res) => {
       address,
       features,
       images,
-      agent
+      agent,
+      advancePayment,
+      competingOfferPolicy,
+      location,
+      latitude,
+      longitude,
+      submit,
+      listingType,
+      rental
     } = req.body;
 
-    // Validate required fields
-    if (!title || !description || !price || !propertyType || !address) {
+    // Validate required fields (rentals are priced by their monthly rent)
+    const isRental = listingType === 'rent';
+    if (!title || !description || !(isRental ? rental?.monthlyRent : price) || !propertyType || !address) {
       return res.status(400).json({
         success: false,
-        message: 'Please provide all required fields'
+        message: isRental
+          ? 'Please provide all required fields, including rental.monthlyRent'
+          : 'Please provide all required fields'
       });
     }
 
@@ -253,10 +662,21 @@ router.post('/', protect, authorize('admin', 'agent'), async (req, res) => {
       assignedAgent = req.user.userId;
     }
 
+    // Use supplied coordinates, else place the listing from the gazetteer
+    const placed = locationFromInput({ location, latitude, longitude }) || geocodeAddress(address);
+    if (placed?.error) {
+      return res.status(400).json({
+        success: false,
+        message: placed.error
+      });
+    }
+
     const property = new Property({
       title,
       description,
-      price,
+      price: isRental ? rental.monthlyRent : price,
+      listingType: isRental ? 'rent' : 'sale',
+      rental: isRental ? rental : undefined,
       propertyType,
       status: status || 'active',
       bedrooms,
@@ -265,10 +685,25 @@ router.post('/', protect, authorize('admin', 'agent'), async (req, res) => {
       address,
       features: features || [],
       images: images || [],
+      advancePayment,
+      competingOfferPolicy,
+      location: placed?.location,
+      locationSource: placed?.source,
       agent: assignedAgent,
       createdBy: req.user.userId
     });
 
+    // Admin listings go live straight away; agent listings start as drafts
+    // (or go straight to the review queue with submit: true)
+    const isAdmin = req.userProfile.userType === 'admin';
+    const initialState = isAdmin ? 'published' : (submit === true || submit === 'true' ? 'submitted' : 'draft');
+    const now = new Date();
+    property.priceHistory = [priceChangeEntry(null, property.price, { actor: req.user.userId, reason: 'Listed' })];
+    property.moderationStatus = initialState;
+    property.moderationHistory = [{ to: initialState, actor: req.user.userId, date: now }];
+    if (initialState === 'published') property.publishedAt = now;
+    if (initialState === 'submitted') property.submittedAt = now;
+
     await property.save();
 
     // Populate the response
@@ -276,13 +711,24 @@ router.post('/', protect, authorize('admin', 'agent'), async (req, res) => {
     await property.populate('createdBy', 'name email');
 
     try {
+      const creationMessages = {
+        published: `${title} has been published and is now live.`,
+        submitted: `${title} has been submitted for review. It will go live once an admin approves it.`,
+        draft: `${title} has been saved as a draft. Submit it for review when it is ready.`
+      };
       await createNotification({
         userId: req.user.userId,
         type: 'status',
-        title: 'Property Listed Successfully',
-        message: `${title} has been published and is now live.`,
+        title: initialState === 'published' ? 'Property Listed Successfully' : 'Property Saved',
+        message: creationMessages[initialState],
         metadata: { propertyId: property._id }
       });
+      if (initialState === 'submitted') {
+        await notifyListingSubmitted(property, req.userProfile.name);
+      }
+      if (initialState === 'published') {
+        alertInstantSearches(property);
+      }
     } catch (notifyErr) {
       console.warn('Failed to send property creation notification:', notifyErr?.message || notifyErr);
     }
@@ -324,18 +770,147 @@ router.put('/:id', protect, authorize('admin', 'agent'), async (req, res) => {
       });
     }
 
-    const updatedProperty = await Property.findByIdAndUpdate(
-      req.params.id,
-      { ...req.body, updatedAt: new Date() },
+    // Review state only changes through the moderation endpoints, images
+    // through the image endpoints, the sale record through /sell, the lease
+    // through rental applications, project membership through the project
+    // endpoints and removal through DELETE
+    const {
+      latitude,
+      longitude,
+      moderationStatus,
+      moderationHistory,
+      submittedAt,
+      reviewedAt,
+      reviewedBy,
+      reviewComment,
+      publishedAt,
+      priceHistory,
+      lastPriceChange,
+      priceChangeReason,
+      lease,
+      closing,
+      soldPrice,
+      soldDate,
+      images,
+      project,
+      unit,
+      isActive,
+      ...changes
+    } = req.body;
+    if (changes.status !== undefined && changes.status !== property.status
+      && FLOW_OWNED_STATUSES.includes(changes.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `A listing becomes ${changes.status} through its purchase requests, sale or rental applications`
+      });
+    }
+    if (changes.status !== undefined && changes.status !== property.status
+      && FLOW_OWNED_STATUSES.includes(property.status)) {
+      return res.status(400).json({
+        success: false,
+        message: `This listing is ${property.status}; its status changes through its purchase requests, sale or rental applications`
+      });
+    }
+    // A unit's address and location are its project's
+    const isUnit = Boolean(property.project);
+    if (isUnit) {
+      delete changes.address;
+      delete changes.location;
+      delete changes.locationSource;
+    }
+    // Rental terms are merged into the existing ones, and the monthly rent is
+    // the listing's price
+    const listingType = changes.listingType || property.listingType;
+    if (changes.rental) {
+      changes.rental = { ...property.toObject().rental, ...changes.rental };
+    }
+    if (listingType === 'rent') {
+      const monthlyRent = changes.rental?.monthlyRent ?? property.rental?.monthlyRent;
+      if (!monthlyRent) {
+        return res.status(400).json({
+          success: false,
+          message: 'Monthly rent is required for rental listings'
+        });
+      }
+      changes.price = monthlyRent;
+    }
+
+    const manual = isUnit ? null : locationFromInput({ location: changes.location, latitude, longitude });
+    if (manual?.error) {
+      return res.status(400).json({
+        success: false,
+        message: manual.error
+      });
+    }
+    if (manual) {
+      changes.location = manual.location;
+      changes.locationSource = manual.source;
+    } else if (changes.address && property.locationSource !== 'manual') {
+      // Re-place gazetteer-located listings when their address changes
+      const placed = geocodeAddress({ ...property.toObject().address, ...changes.address });
+      if (placed) {
+        changes.location = placed.location;
+        changes.locationSource = placed.source;
+      }
+    }
+
+    // Record price changes; the update only applies if the price is still the
+    // one the change was computed from
+    const update = { $set: { ...changes, updatedAt: new Date() } };
+    const match = { _id: property._id };
+    let priceChange = null;
+    const newPrice = changes.price !== undefined && changes.price !== '' ? Number(changes.price) : undefined;
+    if (newPrice !== undefined && Number.isFinite(newPrice) && newPrice !== property.price) {
+      priceChange = priceChangeEntry(property.price, newPrice, { actor: req.user.userId, reason: priceChangeReason });
+      update.$set.price = newPrice;
+      update.$set.lastPriceChange = lastPriceChangeFrom(priceChange);
+      update.$push = { priceHistory: priceChange };
+      match.price = property.price;
+    }
+
+    // Content edits to an agent's published listing take it off the site
+    // until an admin has reviewed them again
+    const resubmitted = req.userProfile.userType === 'agent' && isPublished(property)
+      && REVIEWED_FIELDS.some((field) => changes[field] !== undefined);
+    if (resubmitted) {
+      moveListing(property, 'submitted', { actor: req.user.userId, comment: 'Edited after publishing' });
+      update.$set.moderationStatus = property.moderationStatus;
+      update.$set.submittedAt = property.submittedAt;
+      update.$push = { ...update.$push, moderationHistory: property.moderationHistory.at(-1).toObject() };
+    }
+
+    const updatedProperty = await Property.findOneAndUpdate(
+      match,
+      update,
       { new: true, runValidators: true }
     )
       .populate('agent', 'name email phone agentProfile')
       .populate('createdBy', 'name email');
 
+    if (!updatedProperty) {
+      return res.status(409).json({
+        success: false,
+        message: 'The price was changed by someone else. Please reload and try again.'
+      });
+    }
+
+    // Let buyers who saved the listing know about price cuts and sales
+    if (priceChange?.changePercent < 0) {
+      alertPriceDrop(updatedProperty, priceChange);
+    }
+    if (updatedProperty.status !== property.status) {
+      alertStatusChange(updatedProperty, updatedProperty.status);
+    }
+    if (resubmitted) {
+      await notifyListingSubmitted(updatedProperty, req.userProfile.name);
+    }
+
     res.json({
       success: true,
       data: updatedProperty,
-      message: 'Property updated successfully'
+      message: resubmitted
+        ? 'Property updated and sent back for review'
+        : 'Property updated successfully'
     });
   } catch (error) {
     console.error('Error updating property:', error);
@@ -388,6 +963,325 @@ router.delete('/:id', protect, authorize('admin', 'agent'), async (req, res) =>
   }
 });
 
+// @route   POST /api/properties/:id/images
+// @desc    Upload images (multipart "images" fields); each gets resized variants
+// @access  Private (Admin or Property Agent)
+router.post('/:id/images', protect, authorize('admin', 'agent'), receiveImages, async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+
+    if (!req.files || req.files.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please attach at least one image'
+      });
+    }
+
+    const rejected = [];
+    const added = [];
+    for (const file of req.files) {
+      const result = await processPropertyImage(property._id, file);
+      if (result.error) {
+        rejected.push({ file: file.originalname, message: result.error });
+        continue;
+      }
+      added.push({
+        ...result.image,
+        alt: req.body.alt || property.title,
+        uploadedBy: req.user.userId,
+        uploadedAt: new Date()
+      });
+    }
+
+    if (added.length === 0) {
+      return res.status(400).json({
+        success: false,
+        message: 'No valid images were uploaded',
+        data: { rejected }
+      });
+    }
+
+    // makePrimary=true promotes the first new image
+    if (req.body.makePrimary === 'true') {
+      property.images.forEach((image) => {
+        image.isPrimary = false;
+      });
+      added[0].isPrimary = true;
+    }
+    property.images.push(...added);
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.status(201).json({
+      success: true,
+      data: { images: property.images, rejected },
+      message: `${added.length} image${added.length === 1 ? '' : 's'} uploaded successfully`
+    });
+  } catch (error) {
+    console.error('Error uploading property images:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to upload images',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/images/order
+// @desc    Reorder images; body { imageIds } lists every image id in the new order
+// @access  Private (Admin or Property Agent)
+router.put('/:id/images/order', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+
+    const imageIds = Array.isArray(req.body.imageIds) ? req.body.imageIds.map(String) : [];
+    const current = property.images.map((image) => image._id.toString());
+    const sameSet = imageIds.length === current.length
+      && new Set(imageIds).size === imageIds.length
+      && imageIds.every((id) => current.includes(id));
+    if (!sameSet) {
+      return res.status(400).json({
+        success: false,
+        message: 'imageIds must list every image of the property exactly once'
+      });
+    }
+
+    property.images = imageIds.map((id) => property.images.id(id));
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.json({
+      success: true,
+      data: { images: property.images },
+      message: 'Images reordered successfully'
+    });
+  } catch (error) {
+    console.error('Error reordering property images:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to reorder images',
+      error: error.message
+    });
+  }
+});
+
+// @route   PUT /api/properties/:id/images/:imageId/primary
+// @desc    Make an image the property's only primary image
+// @access  Private (Admin or Property Agent)
+router.put('/:id/images/:imageId/primary', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+
+    const target = property.images.id(req.params.imageId);
+    if (!target) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    property.images.forEach((image) => {
+      image.isPrimary = image._id.equals(target._id);
+    });
+    property.updatedAt = new Date();
+    await property.save();
+
+    res.json({
+      success: true,
+      data: { images: property.images },
+      message: 'Primary image updated successfully'
+    });
+  } catch (error) {
+    console.error('Error setting primary image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to set primary image',
+      error: error.message
+    });
+  }
+});
+
+// @route   DELETE /api/properties/:id/images/:imageId
+// @desc    Remove an image and its stored variants
+// @access  Private (Admin or Property Agent)
+router.delete('/:id/images/:imageId', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+
+    const image = property.images.id(req.params.imageId);
+    if (!image) {
+      return res.status(404).json({
+        success: false,
+        message: 'Image not found'
+      });
+    }
+
+    const removed = image.toObject();
+    property.images.pull(image._id);
+    property.updatedAt = new Date();
+    await property.save();
+    await removePropertyImage(removed);
+
+    res.json({
+      success: true,
+      data: { images: property.images },
+      message: 'Image deleted successfully'
+    });
+  } catch (error) {
+    console.error('Error deleting property image:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to delete image',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/submit
+// @desc    Send a draft or returned listing to the admin review queue
+// @access  Private (Admin or Property Agent)
+router.post('/:id/submit', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+    // Live listings only go back for review by being edited
+    if (isPublished(property)) {
+      return res.status(409).json({ success: false, message: 'This listing is already published' });
+    }
+
+    const moved = moveListing(property, 'submitted', { actor: req.user.userId, comment: req.body.comment });
+    if (moved.error) {
+      return res.status(moved.statusCode).json({ success: false, message: moved.error, ...moved.details });
+    }
+    await property.save();
+    await notifyListingSubmitted(property, req.userProfile.name);
+
+    res.json({
+      success: true,
+      data: property,
+      message: 'Property submitted for review'
+    });
+  } catch (error) {
+    console.error('Error submitting property for review:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to submit property',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/review
+// @desc    Approve, reject or request changes on a submitted listing. body:
+//          { action: approve|reject|request_changes, comment, publish (default true) }
+// @access  Private (Admin)
+router.post('/:id/review', protect, authorize('admin'), async (req, res) => {
+  try {
+    const { action, comment, publish = true } = req.body || {};
+    const outcomes = { approve: 'approved', reject: 'rejected', request_changes: 'changes_requested' };
+    if (!outcomes[action]) {
+      return res.status(400).json({
+        success: false,
+        message: 'action must be approve, reject or request_changes'
+      });
+    }
+    const reviewComment = typeof comment === 'string' ? comment.trim() : '';
+    if (action !== 'approve' && !reviewComment) {
+      return res.status(400).json({
+        success: false,
+        message: 'Please add a comment explaining what needs to change'
+      });
+    }
+
+    const property = await Property.findById(req.params.id);
+    if (!property) {
+      return res.status(404).json({
+        success: false,
+        message: 'Property not found'
+      });
+    }
+
+    const moved = moveListing(property, outcomes[action], { actor: req.user.userId, comment: reviewComment || undefined });
+    if (moved.error) {
+      return res.status(moved.statusCode).json({ success: false, message: moved.error, ...moved.details });
+    }
+    if (action === 'approve' && publish !== false && publish !== 'false') {
+      moveListing(property, 'published', { actor: req.user.userId });
+    }
+    await property.save();
+
+    const notices = {
+      published: {
+        title: 'Listing Approved',
+        message: `${property.title} has been approved and is now live.`
+      },
+      approved: {
+        title: 'Listing Approved',
+        message: `${property.title} has been approved. Publish it when you are ready for it to go live.`
+      },
+      rejected: {
+        title: 'Listing Rejected',
+        message: `${property.title} was not approved for publication. You can update it and submit it again.`
+      },
+      changes_requested: {
+        title: 'Changes Requested on Listing',
+        message: `An admin reviewed ${property.title} and asked for some changes before it can go live.`
+      }
+    };
+    await notifyListingAgent(property, notices[property.moderationStatus]);
+    if (property.moderationStatus === 'published') {
+      alertInstantSearches(property);
+    }
+
+    res.json({
+      success: true,
+      data: property,
+      message: `Listing ${property.moderationStatus.replace('_', ' ')}`
+    });
+  } catch (error) {
+    console.error('Error reviewing property:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to review property',
+      error: error.message
+    });
+  }
+});
+
+// @route   POST /api/properties/:id/publish
+// @desc    Put an approved listing live
+// @access  Private (Admin or Property Agent)
+router.post('/:id/publish', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const property = await findEditableProperty(req, res);
+    if (!property) return;
+
+    const moved = moveListing(property, 'published', { actor: req.user.userId });
+    if (moved.error) {
+      return res.status(moved.statusCode).json({ success: false, message: moved.error, ...moved.details });
+    }
+    await property.save();
+    alertInstantSearches(property);
+
+    res.json({
+      success: true,
+      data: property,
+      message: 'Property published successfully'
+    });
+  } catch (error) {
+    console.error('Error publishing property:', error);
+    res.status(500).json({
+      success: false,
+      message: 'Failed to publish property',
+      error: error.message
+    });
+  }
+});
+
 // @route   POST /api/properties/predict-price
 // @desc    Get estimated price from ML service
 // @access  Public
@@ -0,0 +1,246 @@
+const express = require('express');
+const mongoose = require('mongoose');
+const router = express.Router();
+const RentalApplication = require('../models/RentalApplication');
+const Property = require('../models/Property');
+const { protect, authorize } = require('../middleware/auth');
+const { isPublished } = require('../utils/listingModeration');
+const { transitionErrorBody } = require('../utils/offerStateMachine');
+const {
+  OPEN_APPLICATION_STATUSES,
+  transitionApplication,
+  notifyApplicationParty,
+  notifyApplicationSubmitted,
+  approveApplication
+} = require('../utils/rentalApplications');
+
+const EMPLOYMENT_STATUSES = ['salaried', 'self-employed', 'student', 'retired', 'unemployed', 'other'];
+
+const populateApplication = (query) => query
+  .populate('property', 'title address price listingType rental status images')
+  .populate('applicant', 'name email phone')
+  .populate('agent', 'name email phone');
+
+// Application the current agent (for their own listing) or an admin may
+// decide on; sends 404/403 itself
+const findManagedApplication = async (req, res) => {
+  const application = await RentalApplication.findById(req.params.id);
+  if (!application) {
+    res.status(404).json({ success: false, message: 'Rental application not found' });
+    return null;
+  }
+  if (req.userProfile.userType !== 'admin' && String(application.agent) !== String(req.user.userId)) {
+    res.status(403).json({ success: false, message: 'Not authorized to manage this application' });
+    return null;
+  }
+  return application;
+};
+
+// Apply to rent a listing
+router.post('/', protect, async (req, res) => {
+  try {
+    const { propertyId, occupants, moveInDate, leaseMonths, employment, proposedRent, message } = req.body || {};
+    if (!propertyId || !moveInDate || !employment?.status) {
+      return res.status(400).json({ success: false, message: 'propertyId, moveInDate and employment.status are required' });
+    }
+    if (!EMPLOYMENT_STATUSES.includes(employment.status)) {
+      return res.status(400).json({ success: false, message: `employment.status must be one of ${EMPLOYMENT_STATUSES.join(', ')}` });
+    }
+    const moveIn = new Date(moveInDate);
+    if (Number.isNaN(moveIn.getTime())) {
+      return res.status(400).json({ success: false, message: 'Invalid move-in date' });
+    }
+
+    if (!mongoose.Types.ObjectId.isValid(propertyId)) {
+      return res.status(400).json({ success: false, message: 'Invalid propertyId' });
+    }
+    const property = await Property.findById(propertyId).select('title agent listingType status isActive rental moderationStatus');
+    if (!property || !property.isActive || !isPublished(property)) {
+      return res.status(404).json({ success: false, message: 'Property not found' });
+    }
+    if (property.listingType !== 'rent') {
+      return res.status(400).json({ success: false, message: 'This property is for sale. Make a purchase offer instead.' });
+    }
+    if (property.status !== 'active') {
+      return res.status(409).json({ success: false, message: 'This rental is no longer available', currentStatus: property.status });
+    }
+    if (String(property.agent) === String(req.user.userId)) {
+      return res.status(400).json({ success: false, message: 'You cannot apply for your own listing' });
+    }
+    const existing = await RentalApplication.exists({
+      property: property._id,
+      applicant: req.user.userId,
+      status: { $in: OPEN_APPLICATION_STATUSES }
+    });
+    if (existing) {
+      return res.status(409).json({ success: false, message: 'You already have an open application for this rental' });
+    }
+
+    const application = await RentalApplication.create({
+      property: property._id,
+      applicant: req.user.userId,
+      agent: property.agent,
+      occupants,
+      moveInDate: moveIn,
+      leaseMonths: leaseMonths || property.rental?.minLeaseMonths,
+      employment,
+      proposedRent: proposedRent || property.rental?.monthlyRent,
+      message,
+      statusHistory: [{ to: 'submitted', actor: req.user.userId, reason: 'Application submitted' }]
+    });
+    await notifyApplicationSubmitted(application, req.userProfile?.name, property);
+
+    res.status(201).json({ success: true, message: 'Application submitted', data: application });
+  } catch (error) {
+    if (error.name === 'ValidationError') {
+      return res.status(400).json({ success: false, message: error.message });
+    }
+    console.error('Error creating rental application:', error);
+    res.status(500).json({ success: false, message: 'Failed to submit application', error: error.message });
+  }
+});
+
+// The current user's own applications, newest first
+router.get('/my', protect, async (req, res) => {
+  try {
+    const filter = { applicant: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+    const applications = await populateApplication(RentalApplication.find(filter)).sort({ createdAt: -1 });
+    res.json({ success: true, count: applications.length, data: applications });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch applications' });
+  }
+});
+
+// Applications on the current agent's listings (every listing for admins);
+// ?status= and ?propertyId= to filter
+router.get('/received', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const filter = req.userProfile.userType === 'admin' ? {} : { agent: req.user.userId };
+    if (req.query.status) filter.status = req.query.status;
+    if (req.query.propertyId) {
+      if (!mongoose.Types.ObjectId.isValid(req.query.propertyId)) {
+        return res.status(400).json({ success: false, message: 'Invalid propertyId' });
+      }
+      filter.property = req.query.propertyId;
+    }
+    const applications = await populateApplication(RentalApplication.find(filter)).sort({ createdAt: -1 });
+    res.json({ success: true, count: applications.length, data: applications });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch applications' });
+  }
+});
+
+router.get('/:id', protect, async (req, res) => {
+  try {
+    const application = await populateApplication(RentalApplication.findById(req.params.id));
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Rental application not found' });
+    }
+    const userId = String(req.user.userId);
+    const involved = [application.applicant?._id, application.agent?._id].some((id) => String(id) === userId);
+    if (!involved && req.userProfile.userType !== 'admin') {
+      return res.status(403).json({ success: false, message: 'Not authorized to view this application' });
+    }
+    res.json({ success: true, data: application });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch application' });
+  }
+});
+
+router.post('/:id/shortlist', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const application = await findManagedApplication(req, res);
+    if (!application) return;
+
+    const moved = transitionApplication(application, 'shortlisted', { actor: req.user.userId, reason: req.body?.reason });
+    if (moved.error) return res.status(moved.statusCode).json(transitionErrorBody(moved));
+    await application.save();
+
+    await notifyApplicationParty(application, 'applicant', {
+      title: 'Rental Application Shortlisted',
+      message: (title) => `Your application to rent ${title} has been shortlisted. The agent will be in touch about next steps.`
+    });
+    res.json({ success: true, message: 'Application shortlisted', data: application });
+  } catch (error) {
+    console.error('Error shortlisting rental application:', error);
+    res.status(500).json({ success: false, message: 'Failed to shortlist application', error: error.message });
+  }
+});
+
+// Approve an application ({ leaseStartDate?, reason? }); lets the listing and
+// closes the other open applications on it
+router.post('/:id/approve', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const application = await findManagedApplication(req, res);
+    if (!application) return;
+
+    const result = await approveApplication(application, req.user.userId, {
+      leaseStartDate: req.body?.leaseStartDate,
+      reason: req.body?.reason
+    });
+    if (result.error) return res.status(result.statusCode).json(transitionErrorBody(result));
+
+    res.json({
+      success: true,
+      message: 'Application approved and listing marked as rented',
+      data: {
+        application: result.application,
+        lease: result.property.lease,
+        closedApplications: result.closedApplications
+      }
+    });
+  } catch (error) {
+    console.error('Error approving rental application:', error);
+    res.status(500).json({ success: false, message: 'Failed to approve application', error: error.message });
+  }
+});
+
+router.post('/:id/decline', protect, authorize('admin', 'agent'), async (req, res) => {
+  try {
+    const application = await findManagedApplication(req, res);
+    if (!application) return;
+
+    const reason = req.body?.reason;
+    const moved = transitionApplication(application, 'declined', { actor: req.user.userId, reason });
+    if (moved.error) return res.status(moved.statusCode).json(transitionErrorBody(moved));
+    application.decisionReason = reason;
+    application.decidedAt = new Date();
+    await application.save();
+
+    await notifyApplicationParty(application, 'applicant', {
+      title: 'Rental Application Declined',
+      message: (title) => `Your application to rent ${title} was declined.${reason ? ` Reason: ${reason}` : ''}`
+    });
+    res.json({ success: true, message: 'Application declined', data: application });
+  } catch (error) {
+    console.error('Error declining rental application:', error);
+    res.status(500).json({ success: false, message: 'Failed to decline application', error: error.message });
+  }
+});
+
+// Applicant withdraws their own open application
+router.post('/:id/withdraw', protect, async (req, res) => {
+  try {
+    const application = await RentalApplication.findOne({ _id: req.params.id, applicant: req.user.userId });
+    if (!application) {
+      return res.status(404).json({ success: false, message: 'Rental application not found' });
+    }
+
+    const reason = req.body?.reason;
+    const moved = transitionApplication(application, 'withdrawn', { actor: req.user.userId, reason: reason || 'Withdrawn by applicant' });
+    if (moved.error) return res.status(moved.statusCode).json(transitionErrorBody(moved));
+    await application.save();
+
+    await notifyApplicationParty(application, 'agent', {
+      title: 'Rental Application Withdrawn',
+      message: (title) => `An applicant withdrew their application to rent ${title}.${reason ? ` Reason: ${reason}` : ''}`
+    });
+    res.json({ success: true, message: 'Application withdrawn', data: application });
+  } catch (error) {
+    console.error('Error withdrawing rental application:', error);
+    res.status(500).json({ success: false, message: 'Failed to withdraw application', error: error.message });
+  }
+});
+
+module.exports = router;
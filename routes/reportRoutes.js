@@ -5,7 +5,8 @@ const {
     getSalesByLocation,
     getMonthlySalesTrend,
     getRiskDistribution,
-    getSoldList
+    getSoldList,
+    getPaymentSummary
 } = require('../controllers/reportController');
 const { protect, authorize } = require('../middleware/auth');
 
@@ -18,5 +19,6 @@ router.get('/sales-by-location', getSalesByLocation);
 router.get('/sales-trend', getMonthlySalesTrend);
 router.get('/risk-distribution', getRiskDistribution);
 router.get('/sold-list', getSoldList);
+router.get('/payments', getPaymentSummary);
 
 module.exports = router;
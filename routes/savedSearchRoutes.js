@@ -0,0 +1,174 @@
+const express = require('express');
+const router = express.Router();
+const SavedSearch = require('../models/SavedSearch');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const { protect } = require('../middleware/auth');
+const { sanitizeFilters, searchFilter } = require('../utils/savedSearchAlerts');
+const { escapeHtml } = require('../utils/propertyQuery');
+
+const FREQUENCIES = ['instant', 'daily', 'weekly'];
+const MAX_SAVED_SEARCHES = 20;
+
+// Unsubscribe link from alert emails; no login needed
+router.get('/unsubscribe/:token', async (req, res) => {
+  try {
+    const search = await SavedSearch.findOneAndUpdate(
+      { unsubscribeToken: req.params.token },
+      { $set: { isActive: false, unsubscribedAt: new Date() } },
+      { new: true }
+    );
+    if (!search) {
+      return res.status(404).send('<p style="font-family: Arial, sans-serif;">This unsubscribe link is not valid.</p>');
+    }
+    res.send(`
+      <div style="font-family: Arial, sans-serif; max-width: 600px; margin: 40px auto;">
+        <h2>Unsubscribed</h2>
+        <p>You will no longer receive alerts for the saved search "${escapeHtml(search.name)}".</p>
+      </div>
+    `);
+  } catch (error) {
+    res.status(500).send('<p style="font-family: Arial, sans-serif;">Failed to unsubscribe. Please try again later.</p>');
+  }
+});
+
+router.get('/', protect, async (req, res) => {
+  try {
+    const searches = await SavedSearch.find({ user: req.user.userId })
+      .select('-unsubscribeToken')
+      .sort({ createdAt: -1 });
+    res.json({ success: true, data: searches });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to fetch saved searches' });
+  }
+});
+
+router.post('/', protect, async (req, res) => {
+  try {
+    const { name, filters, frequency = 'daily' } = req.body || {};
+    if (!name || !String(name).trim()) {
+      return res.status(400).json({ success: false, message: 'name is required' });
+    }
+    if (!FREQUENCIES.includes(frequency)) {
+      return res.status(400).json({ success: false, message: 'frequency must be instant, daily or weekly' });
+    }
+    const sanitized = sanitizeFilters(filters);
+    if (sanitized.error) {
+      return res.status(400).json({ success: false, message: sanitized.error });
+    }
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count >= MAX_SAVED_SEARCHES) {
+      return res.status(400).json({ success: false, message: `You can save up to ${MAX_SAVED_SEARCHES} searches` });
+    }
+
+    const search = await SavedSearch.create({
+      user: req.user.userId,
+      name: String(name).trim(),
+      filters: sanitized.filters,
+      frequency
+    });
+    res.status(201).json({ success: true, message: 'Search saved', data: search });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to save search' });
+  }
+});
+
+// Turn the profile's preferences (types, price range, locations) into saved
+// searches, one per preferred location
+router.post('/from-preferences', protect, async (req, res) => {
+  try {
+    const user = await User.findById(req.user.userId).select('preferences');
+    const prefs = user?.preferences || {};
+    const base = {};
+    if (prefs.propertyTypes?.length) base.propertyType = prefs.propertyTypes.join(',');
+    if (prefs.priceRange?.min) base.minPrice = prefs.priceRange.min;
+    if (prefs.priceRange?.max) base.maxPrice = prefs.priceRange.max;
+    const locations = prefs.locations?.length ? prefs.locations : [null];
+    if (!Object.keys(base).length && !locations[0]) {
+      return res.status(400).json({ success: false, message: 'Your profile has no search preferences yet' });
+    }
+    const count = await SavedSearch.countDocuments({ user: req.user.userId });
+    if (count + locations.length > MAX_SAVED_SEARCHES) {
+      return res.status(400).json({
+        success: false,
+        message: `You can save up to ${MAX_SAVED_SEARCHES} searches; this would add ${locations.length} to your ${count}`
+      });
+    }
+
+    const searches = await SavedSearch.insertMany(locations.map((city) => ({
+      user: req.user.userId,
+      name: city ? `My preferences in ${city}` : 'My preferences',
+      filters: sanitizeFilters(city ? { ...base, city } : base).filters,
+      frequency: FREQUENCIES.includes(req.body?.frequency) ? req.body.frequency : 'daily'
+    })));
+    res.status(201).json({ success: true, message: 'Searches saved', data: searches });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to save searches from preferences' });
+  }
+});
+
+router.put('/:id', protect, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!search) return res.status(404).json({ success: false, message: 'Saved search not found' });
+
+    const { name, filters, frequency, isActive } = req.body || {};
+    if (name !== undefined) {
+      if (!String(name).trim()) return res.status(400).json({ success: false, message: 'name cannot be empty' });
+      search.name = String(name).trim();
+    }
+    if (frequency !== undefined) {
+      if (!FREQUENCIES.includes(frequency)) {
+        return res.status(400).json({ success: false, message: 'frequency must be instant, daily or weekly' });
+      }
+      search.frequency = frequency;
+    }
+    if (filters !== undefined) {
+      const sanitized = sanitizeFilters(filters);
+      if (sanitized.error) return res.status(400).json({ success: false, message: sanitized.error });
+      search.filters = sanitized.filters;
+    }
+    if (isActive !== undefined) {
+      search.isActive = isActive === true || isActive === 'true';
+      // Re-enabling starts from now rather than replaying missed listings
+      if (search.isActive) {
+        search.lastNotifiedAt = new Date();
+        search.unsubscribedAt = undefined;
+      }
+    }
+    await search.save();
+    res.json({ success: true, message: 'Saved search updated', data: search });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to update saved search' });
+  }
+});
+
+router.delete('/:id', protect, async (req, res) => {
+  try {
+    const result = await SavedSearch.deleteOne({ _id: req.params.id, user: req.user.userId });
+    if (!result.deletedCount) return res.status(404).json({ success: false, message: 'Saved search not found' });
+    res.json({ success: true, message: 'Saved search deleted' });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to delete saved search' });
+  }
+});
+
+// Current results of a saved search, newest first
+router.get('/:id/results', protect, async (req, res) => {
+  try {
+    const search = await SavedSearch.findOne({ _id: req.params.id, user: req.user.userId });
+    if (!search) return res.status(404).json({ success: false, message: 'Saved search not found' });
+
+    const limit = Math.min(Math.max(parseInt(req.query.limit, 10) || 10, 1), 50);
+    const filter = searchFilter(search.filters);
+    const [properties, total] = await Promise.all([
+      Property.find(filter).sort({ createdAt: -1 }).limit(limit),
+      Property.countDocuments(filter)
+    ]);
+    res.json({ success: true, data: { properties, total } });
+  } catch (error) {
+    res.status(500).json({ success: false, message: 'Failed to run saved search' });
+  }
+});
+
+module.exports = router;
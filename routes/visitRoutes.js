@@ -8,16 +8,10 @@ const { protect, authorize } = require('../middleware/auth');
 const VisitSlot = require('../models/VisitSlot');
 const UnavailableDate = require('../models/UnavailableDate');
 const { createNotification, notifyAdmins } = require('../utils/notificationService');
+const { alertNewVisitSlots } = require('../utils/savedPropertyAlerts');
+const { toYMD, toHM } = require('../utils/dates');
 
 // Helpers
-const toYMD = (d) => {
-	const dt = new Date(d);
-	return `${dt.getFullYear()}-${String(dt.getMonth()+1).padStart(2,'0')}-${String(dt.getDate()).padStart(2,'0')}`;
-};
-const toHM = (d) => {
-	const dt = new Date(d);
-	return `${String(dt.getHours()).padStart(2,'0')}:${String(dt.getMinutes()).padStart(2,'0')}`;
-};
 const addDays = (d, n) => {
 	const dt = new Date(d);
 	dt.setDate(dt.getDate()+n);
@@ -96,7 +90,8 @@ router.post('/', protect, async (req, res) => {
 			requester: requesterUserId,
 			recipient: recipientUser,
 			scheduledAt: scheduled,
-			note: note || ''
+			note: note || '',
+			purpose: property.listingType === 'rent' ? 'rental' : 'purchase'
 		});
 
 		// Note: Frontend records 'visit_requested' in local history; approval will be reflected via status change endpoints
@@ -107,19 +102,20 @@ router.post('/', protect, async (req, res) => {
 		await slot.save();
 
 		const propertyTitle = property?.title || 'Property';
+		const visitor = visit.purpose === 'rental' ? 'A prospective tenant' : 'A buyer';
 		try {
 			await createNotification({
 				userId: recipientUser,
 				type: 'visit',
 				title: 'New Visit Request',
-				message: `A buyer requested a property visit for ${propertyTitle} on ${new Date(scheduledAt).toLocaleString()}.`,
-				metadata: { visitId: visit._id, propertyId: property._id }
+				message: `${visitor} requested a property visit for ${propertyTitle} on ${new Date(scheduledAt).toLocaleString()}.`,
+				metadata: { visitId: visit._id, propertyId: property._id, purpose: visit.purpose }
 			});
 			await notifyAdmins(
 				'visit',
 				'New Visit Request',
-				`A buyer requested a property visit for ${propertyTitle}.`,
-				{ visitId: visit._id, propertyId: property._id }
+				`${visitor} requested a property visit for ${propertyTitle}.`,
+				{ visitId: visit._id, propertyId: property._id, purpose: visit.purpose }
 			);
 		} catch (notifyErr) {
 			console.warn('Visit request notification failed:', notifyErr?.message || notifyErr);
@@ -196,6 +192,7 @@ router.post('/slots', protect, authorize('agent', 'admin'), async (req, res) =>
 				// ignore duplicates
 			}
 		}
+		alertNewVisitSlots(property, created);
 		res.status(201).json({ success: true, data: created });
 	} catch (e) {
 		console.error('Create slots error:', e);
@@ -440,13 +437,15 @@ router.put('/:id/visit-status', protect, authorize('agent', 'admin'), async (req
 // List my requests (as requester)
 router.get('/my', protect, async (req, res) => {
 	try {
-		const { status } = req.query;
+		const { status, purpose } = req.query;
 		const filter = { requester: req.user.userId };
 		if (status) filter.status = status;
+		// Requests made before rentals existed have no purpose and were purchases
+		if (purpose) filter.purpose = purpose === 'purchase' ? { $in: ['purchase', null] } : purpose;
 		const items = await VisitRequest.find(filter)
 			.populate({
 				path: 'property',
-				select: 'title address images agent',
+				select: 'title address images agent listingType',
 				populate: { path: 'agent', select: 'name' }
 			})
 			.sort({ scheduledAt: 1 });
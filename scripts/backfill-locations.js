@@ -0,0 +1,48 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const { geocodeAddress } = require('../utils/geocoder');
+require('dotenv').config();
+
+// Give listings without coordinates a gazetteer centroid (pincode, else city).
+// Usage: node scripts/backfill-locations.js [--dry-run]
+const backfillLocations = async () => {
+    const dryRun = process.argv.includes('--dry-run');
+    try {
+        await mongoose.connect(process.env.MONGODB_URI);
+        console.log('Connected to MongoDB');
+
+        const properties = await Property.find({ 'location.coordinates': { $exists: false } })
+            .select('title address');
+        console.log(`Properties without coordinates: ${properties.length}`);
+
+        let placed = 0;
+        const unplaced = [];
+        for (const property of properties) {
+            const result = geocodeAddress(property.address);
+            if (!result) {
+                unplaced.push(`${property._id} (${property.address?.city || 'no city'}, ${property.address?.zipCode || 'no pincode'})`);
+                continue;
+            }
+            placed += 1;
+            if (!dryRun) {
+                await Property.updateOne(
+                    { _id: property._id },
+                    { $set: { location: result.location, locationSource: result.source } }
+                );
+            }
+        }
+
+        console.log(`${dryRun ? 'Would place' : 'Placed'} ${placed} properties`);
+        if (unplaced.length) {
+            console.log(`No gazetteer match for ${unplaced.length} properties:`);
+            unplaced.forEach((line) => console.log(`  - ${line}`));
+        }
+    } catch (error) {
+        console.error('Error backfilling locations:', error);
+    } finally {
+        await mongoose.disconnect();
+        process.exit();
+    }
+};
+
+backfillLocations();
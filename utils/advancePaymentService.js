@@ -0,0 +1,161 @@
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const { razorpay, toPaise } = require('./razorpay');
+const { verifyAdvancePayment, recordPaymentFailure } = require('./paymentVerification');
+const { processLedgerEntry } = require('./paymentLedger');
+
+const DEFAULT_ADVANCE_PERCENT = Number(process.env.ADVANCE_PERCENT || 1);
+
+const maxAdvanceAmount = () => Number(process.env.RAZORPAY_MAX_AMOUNT_INR || 100000);
+
+// Advance due for an offer: the property's fixed advance if it has one,
+// otherwise a percentage of the offer amount (or list price when no amount
+// was offered), rounded to whole rupees.
+const calculateAdvanceAmount = (offer, property) => {
+  const config = property?.advancePayment || {};
+  let amount;
+  if (config.amount) {
+    amount = config.amount;
+  } else {
+    const percent = config.percent || DEFAULT_ADVANCE_PERCENT;
+    const base = Number(offer.offerAmount) || Number(property?.price) || 0;
+    amount = (base * percent) / 100;
+  }
+  return Math.max(Math.round(amount), 1);
+};
+
+// What the buyer pays online. An advance above the single-payment limit is
+// collected up to the limit, and the quote says so (capped, configuredAmount)
+// so the balance can be settled with the agent.
+const getAdvanceQuote = async (offer) => {
+  const property = await Property.findById(offer.propertyId).select('price advancePayment');
+  const configuredAmount = calculateAdvanceAmount(offer, property);
+  const limit = maxAdvanceAmount();
+  if (configuredAmount <= limit) {
+    return { amount: configuredAmount, currency: 'INR', capped: false };
+  }
+  return {
+    amount: limit,
+    currency: 'INR',
+    capped: true,
+    configuredAmount,
+    message: `The advance for this purchase is ₹${configuredAmount.toLocaleString('en-IN')}; ₹${limit.toLocaleString('en-IN')} can be paid online and the balance of ₹${(configuredAmount - limit).toLocaleString('en-IN')} is settled with the agent.`
+  };
+};
+
+// Shared checks for every advance-payment route
+const checkAdvanceEligibility = (offer, user) => {
+  if (String(offer.investorId) !== String(user._id)) {
+    return { error: 'Forbidden', statusCode: 403 };
+  }
+  if (offer.advancePaid) {
+    return { alreadyPaid: true };
+  }
+  if (offer.status !== 'accepted') {
+    return { error: 'Purchase request must be accepted before advance payment', statusCode: 400 };
+  }
+  if (offer.advanceDueAt && offer.advanceDueAt <= new Date()) {
+    return { error: 'The deadline for paying the advance has passed', statusCode: 400 };
+  }
+  return {};
+};
+
+// Create the Razorpay order for an offer's advance and bind it to the offer.
+// A client-supplied amount is only accepted if it matches the quoted advance.
+const createAdvanceOrder = async (offer, user, { amount, currency = 'INR', via }) => {
+  const eligibility = checkAdvanceEligibility(offer, user);
+  if (eligibility.alreadyPaid) {
+    return { error: 'Advance already paid.', statusCode: 400 };
+  }
+  if (eligibility.error) return eligibility;
+
+  const quote = await getAdvanceQuote(offer);
+  if (amount !== undefined && amount !== null && amount !== '' && toPaise(amount) !== toPaise(quote.amount)) {
+    return { error: `Advance amount for this purchase request is ₹${quote.amount.toLocaleString('en-IN')}`, statusCode: 400 };
+  }
+
+  // Checkout opened again (say after a refresh) reuses the open order, so
+  // the buyer can't end up paying two
+  const open = offer.paymentRef;
+  if (open?.orderId && !open.paymentId && open.currency === currency && toPaise(open.amount) === toPaise(quote.amount)) {
+    const existing = await razorpay.orders.fetch(open.orderId).catch((e) => {
+      console.warn(`Failed to fetch Razorpay order ${open.orderId}:`, e?.error?.description || e?.message || e);
+      return null;
+    });
+    if (existing && existing.status !== 'paid') {
+      return { order: existing, amount: quote.amount, quote };
+    }
+  }
+
+  const order = await razorpay.orders.create({
+    amount: toPaise(quote.amount),
+    currency,
+    receipt: `offer_${offer._id}`,
+    notes: { offerId: String(offer._id), investorId: String(offer.investorId) }
+  });
+
+  offer.paymentRef = {
+    orderId: order.id,
+    amount: quote.amount,
+    currency,
+    createdAt: new Date()
+  };
+  offer.advanceAudit.push({ action: 'order_created', amount: quote.amount, orderId: order.id, via, actor: user._id });
+  await offer.save();
+
+  return { order, amount: quote.amount, quote };
+};
+
+// Verify a completed checkout and record it in the payment ledger, which
+// marks the advance paid and notifies the agent and admins.
+const captureAdvancePayment = async (offer, user, { orderId, paymentId, signature, method, amount, via }) => {
+  const eligibility = checkAdvanceEligibility(offer, user);
+  if (eligibility.alreadyPaid || eligibility.error) return eligibility;
+
+  const verification = await verifyAdvancePayment(offer, { orderId, paymentId, signature, amount });
+  if (!verification.verified) {
+    console.warn(`Advance payment verification failed for offer ${offer._id}: ${verification.reason}`);
+    await recordPaymentFailure(offer, { orderId, paymentId, amount, reason: verification.reason, userId: user._id, via });
+    return { error: verification.reason, statusCode: verification.statusCode };
+  }
+
+  const result = await processLedgerEntry({
+    eventId: `checkout:${paymentId}`,
+    event: 'payment.captured',
+    source: 'checkout',
+    offerId: offer._id,
+    orderId,
+    receipt: verification.order?.receipt,
+    paymentId,
+    amount: verification.amount,
+    currency: verification.payment?.currency,
+    method: verification.method || method,
+    signature
+  }, { offer, via, actor: user._id });
+
+  if (result.duplicate) {
+    // Seen before (e.g. via the webhook): only report success once the
+    // advance has actually landed on the offer
+    const current = await Offer.findById(offer._id);
+    if (!current?.advancePaid) {
+      return { error: 'This payment is still being processed. Please check again shortly.', statusCode: 409 };
+    }
+    return { offer: current, amount: verification.amount };
+  }
+  if (!['applied', 'already_applied'].includes(result.outcome)) {
+    return { error: result.reason || 'Unable to apply advance payment', statusCode: 409 };
+  }
+  if (result.outcome === 'already_applied') {
+    return { offer: await Offer.findById(offer._id), amount: verification.amount };
+  }
+
+  return { offer: result.offer || offer, amount: verification.amount };
+};
+
+module.exports = {
+  calculateAdvanceAmount,
+  getAdvanceQuote,
+  checkAdvanceEligibility,
+  createAdvanceOrder,
+  captureAdvancePayment
+};
@@ -0,0 +1,90 @@
+const Property = require('../models/Property');
+
+const DEFAULT_COMMISSION_PERCENT = Number(process.env.COMMISSION_PERCENT || 2);
+const DEFAULT_AGENT_SHARE_PERCENT = Number(process.env.AGENT_COMMISSION_SHARE_PERCENT || 50);
+
+const idOf = (value) => value?._id || value;
+const roundRupees = (value) => Math.round(Number(value) * 100) / 100;
+
+// Build the closing record for a sale from the winning offer. The final price
+// defaults to the agreed offer amount (or list price); commission is a
+// percentage of the final price split between the agent and the platform.
+const buildClosingRecord = (offer, property, { finalPrice, closingDate, commissionPercent, agentSharePercent, actor } = {}) => {
+  const price = finalPrice !== undefined && finalPrice !== null && finalPrice !== ''
+    ? Number(finalPrice)
+    : Number(offer.offerAmount) || Number(property.price);
+  if (!Number.isFinite(price) || price <= 0) {
+    return { error: 'A valid final sale price is required', statusCode: 400 };
+  }
+
+  const date = closingDate ? new Date(closingDate) : new Date();
+  if (Number.isNaN(date.getTime())) {
+    return { error: 'Invalid closing date', statusCode: 400 };
+  }
+
+  const rate = commissionPercent !== undefined && commissionPercent !== null && commissionPercent !== ''
+    ? Number(commissionPercent)
+    : DEFAULT_COMMISSION_PERCENT;
+  const agentShare = agentSharePercent !== undefined && agentSharePercent !== null && agentSharePercent !== ''
+    ? Number(agentSharePercent)
+    : DEFAULT_AGENT_SHARE_PERCENT;
+  if (!Number.isFinite(rate) || rate < 0 || rate > 100 || !Number.isFinite(agentShare) || agentShare < 0 || agentShare > 100) {
+    return { error: 'Commission percentages must be between 0 and 100', statusCode: 400 };
+  }
+
+  const advanceCredited = Math.max(Number(offer.advanceAmount || 0) - Number(offer.refundedAmount || 0), 0);
+  const commissionTotal = roundRupees((price * rate) / 100);
+  const agentAmount = roundRupees((commissionTotal * agentShare) / 100);
+
+  return {
+    closing: {
+      offer: offer._id,
+      buyer: idOf(offer.investorId),
+      agent: idOf(offer.agentId) || idOf(property.agent),
+      finalPrice: price,
+      closingDate: date,
+      advanceCredited,
+      balanceDue: roundRupees(Math.max(price - advanceCredited, 0)),
+      commission: {
+        percent: rate,
+        total: commissionTotal,
+        agentSharePercent: agentShare,
+        agentAmount,
+        platformAmount: roundRupees(commissionTotal - agentAmount)
+      },
+      recordedBy: idOf(actor),
+      recordedAt: new Date()
+    }
+  };
+};
+
+// Mark the property sold and store its closing record in one conditional
+// update, so a property can only be closed once and the sold reports never
+// see a sold status without a price and date. Recording the same offer's sale
+// again is allowed, so a retry can finish a sale whose offer update failed.
+const recordPropertySale = async (offer, property, options = {}) => {
+  const built = buildClosingRecord(offer, property, options);
+  if (built.error) return built;
+
+  const updated = await Property.findOneAndUpdate(
+    { _id: property._id, $or: [{ status: { $ne: 'sold' } }, { 'closing.offer': offer._id }] },
+    {
+      $set: {
+        status: 'sold',
+        soldDate: built.closing.closingDate,
+        soldPrice: built.closing.finalPrice,
+        closing: built.closing
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    return { error: 'This property has already been sold', statusCode: 409 };
+  }
+  return { property: updated, closing: built.closing };
+};
+
+module.exports = {
+  buildClosingRecord,
+  recordPropertySale
+};
@@ -0,0 +1,165 @@
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const User = require('../models/User');
+const transporter = require('./mailer');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { closeOpenRound } = require('./offerNegotiation');
+const { offerValidityEnd } = require('./offerDeadlines');
+const { transitionOffer } = require('./offerStateMachine');
+const { alertStatusChange } = require('./savedPropertyAlerts');
+
+const notifyBuyer = async (offer, { title, message }) => {
+  try {
+    const buyer = await User.findById(offer.investorId).select('name email');
+    await createNotification({
+      userId: offer.investorId,
+      type: 'purchase',
+      title,
+      message,
+      metadata: { offerId: offer._id, propertyId: offer.propertyId, status: offer.status }
+    });
+    if (buyer?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: buyer.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px;">
+            <h2 style="margin:0 0 12px 0;">${title}</h2>
+            <p>Hello ${buyer.name || ''},</p>
+            <p>${message}</p>
+          </div>
+        `
+      });
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send competing offer notification:', notifyErr?.message || notifyErr);
+  }
+};
+
+// Offer on the property, other than the given one, that currently holds it
+const findHoldingOffer = (propertyId, excludeOfferId) => Offer.findOne({
+  propertyId,
+  _id: { $ne: excludeOfferId },
+  status: { $in: ['accepted', 'advance_paid', 'sold'] }
+});
+
+// Once an offer is accepted, the property's other pending offers are put on
+// hold or rejected, depending on the property's competingOfferPolicy.
+const settleCompetingOffers = async (acceptedOffer, property) => {
+  const policy = property?.competingOfferPolicy || 'hold';
+  const others = await Offer.find({
+    propertyId: acceptedOffer.propertyId,
+    _id: { $ne: acceptedOffer._id },
+    status: 'pending'
+  });
+  const propTitle = property?.title || 'the property';
+
+  for (const offer of others) {
+    const moved = transitionOffer(offer, policy === 'reject' ? 'rejected' : 'on_hold', {
+      reason: 'Another offer on the property was accepted'
+    });
+    if (moved.error) continue;
+    if (policy === 'reject') {
+      offer.closedReason = 'another_offer_accepted';
+      closeOpenRound(offer, 'rejected');
+    } else {
+      offer.heldBy = acceptedOffer._id;
+    }
+    await offer.save();
+
+    await notifyBuyer(offer, policy === 'reject'
+      ? {
+        title: 'Purchase Request Rejected',
+        message: `Another offer for ${propTitle} has been accepted, so your purchase request was declined.`
+      }
+      : {
+        title: 'Purchase Request On Hold',
+        message: `Another offer for ${propTitle} has been accepted. Your purchase request is on hold and will reopen if that offer falls through.`
+      });
+  }
+
+  return { policy, affected: others.length };
+};
+
+// Take the property off the market for an accepted offer and settle the rest
+const holdPropertyForOffer = async (acceptedOffer) => {
+  const property = await Property.findById(acceptedOffer.propertyId);
+  if (!property) return null;
+  if (property.status === 'active') {
+    property.status = 'pending';
+    await property.save();
+    alertStatusChange(property, 'pending');
+  }
+  return settleCompetingOffers(acceptedOffer, property);
+};
+
+// When a sale is finalised, every other live offer on the property is closed
+const closeCompetingOffers = async (soldOffer, property) => {
+  const others = await Offer.find({
+    propertyId: soldOffer.propertyId?._id || soldOffer.propertyId,
+    _id: { $ne: soldOffer._id },
+    status: { $in: ['pending', 'on_hold', 'accepted', 'advance_paid'] }
+  });
+  const propTitle = property?.title || 'the property';
+
+  for (const offer of others) {
+    const moved = transitionOffer(offer, 'closed', { reason: 'Property sold to another buyer' });
+    if (moved.error) continue;
+    offer.closedReason = 'property_sold';
+    offer.heldBy = undefined;
+    closeOpenRound(offer, 'rejected');
+    await offer.save();
+
+    await notifyBuyer(offer, {
+      title: 'Property Sold',
+      message: `${propTitle} has been sold to another buyer, so your purchase request has been closed.`
+    });
+
+    if (offer.advancePaid) {
+      try {
+        await notifyAdmins(
+          'payment',
+          'Refund Needed',
+          `A competing buyer paid an advance for ${propTitle}, which has now been sold. Their advance should be refunded.`,
+          { offerId: offer._id, propertyId: offer.propertyId }
+        );
+      } catch (notifyErr) {
+        console.warn('Failed to notify admins about competing advance:', notifyErr?.message || notifyErr);
+      }
+    }
+  }
+
+  return { affected: others.length };
+};
+
+// Offers that were on hold go back to pending when the property is released
+const reopenHeldOffers = async (property) => {
+  const held = await Offer.find({ propertyId: property._id, status: 'on_hold' });
+  const validUntil = offerValidityEnd();
+
+  for (const offer of held) {
+    const moved = transitionOffer(offer, 'pending', { reason: 'Property available again' });
+    if (moved.error) continue;
+    offer.heldBy = undefined;
+    offer.expiresAt = validUntil;
+    const open = offer.rounds[offer.rounds.length - 1];
+    if (open && open.status === 'open') open.expiresAt = validUntil;
+    await offer.save();
+
+    await notifyBuyer(offer, {
+      title: 'Purchase Request Reopened',
+      message: `${property.title || 'The property'} is available again and your purchase request is back under review.`
+    });
+  }
+
+  return held.length;
+};
+
+module.exports = {
+  findHoldingOffer,
+  settleCompetingOffers,
+  holdPropertyForOffer,
+  closeCompetingOffers,
+  reopenHeldOffers
+};
@@ -0,0 +1,18 @@
+// Local-time date and time strings, as stored on visit slots and daily stats
+
+// "2024-05-01"
+const toYMD = (d) => {
+  const dt = new Date(d);
+  return `${dt.getFullYear()}-${String(dt.getMonth() + 1).padStart(2, '0')}-${String(dt.getDate()).padStart(2, '0')}`;
+};
+
+// "09:30"
+const toHM = (d) => {
+  const dt = new Date(d);
+  return `${String(dt.getHours()).padStart(2, '0')}:${String(dt.getMinutes()).padStart(2, '0')}`;
+};
+
+module.exports = {
+  toYMD,
+  toHM
+};
@@ -0,0 +1,59 @@
+const gazetteer = require('../data/gazetteer.json');
+
+const normalize = (value) => String(value || '').trim().toLowerCase().replace(/\s+/g, ' ');
+
+// city|state and bare city lookups, including historical names (Bombay, Madras)
+const cityIndex = new Map();
+for (const entry of gazetteer.cities) {
+  for (const name of [entry.city, ...(entry.aliases || [])]) {
+    cityIndex.set(`${normalize(name)}|${normalize(entry.state)}`, entry);
+    if (!cityIndex.has(normalize(name))) cityIndex.set(normalize(name), entry);
+  }
+}
+
+const toPoint = ({ lat, lng }) => ({ type: 'Point', coordinates: [lng, lat] });
+
+const isValidLatLng = (lat, lng) => Number.isFinite(lat) && Number.isFinite(lng)
+  && lat >= -90 && lat <= 90 && lng >= -180 && lng <= 180;
+
+// Approximate coordinates for an address from the local gazetteer: the
+// pincode centroid if known, otherwise the city centroid. Returns
+// { location, source } or null when the address can't be placed.
+const geocodeAddress = (address = {}) => {
+  const pincode = String(address.zipCode || '').replace(/\s/g, '');
+  if (gazetteer.pincodes[pincode]) {
+    return { location: toPoint(gazetteer.pincodes[pincode]), source: 'pincode' };
+  }
+  const city = normalize(address.city);
+  if (!city) return null;
+  const entry = cityIndex.get(`${city}|${normalize(address.state)}`) || cityIndex.get(city);
+  return entry ? { location: toPoint(entry), source: 'city' } : null;
+};
+
+// Coordinates supplied with a listing, either as GeoJSON `location` or as
+// `latitude`/`longitude`. Returns null when none were given, or { error }.
+const locationFromInput = ({ location, latitude, longitude } = {}) => {
+  let lat;
+  let lng;
+  if (location?.coordinates) {
+    if (!Array.isArray(location.coordinates) || location.coordinates.length !== 2) {
+      return { error: 'Invalid coordinates' };
+    }
+    [lng, lat] = location.coordinates.map(Number);
+  } else if (latitude !== undefined && longitude !== undefined && latitude !== '' && longitude !== '') {
+    lat = Number(latitude);
+    lng = Number(longitude);
+  } else {
+    return null;
+  }
+  if (!isValidLatLng(lat, lng)) {
+    return { error: 'Invalid coordinates' };
+  }
+  return { location: toPoint({ lat, lng }), source: 'manual' };
+};
+
+module.exports = {
+  isValidLatLng,
+  geocodeAddress,
+  locationFromInput
+};
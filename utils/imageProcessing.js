@@ -0,0 +1,96 @@
+const crypto = require('crypto');
+const multer = require('multer');
+const sharp = require('sharp');
+const { getStorage } = require('./imageStorage');
+
+const ALLOWED_TYPES = ['image/jpeg', 'image/png', 'image/webp'];
+const MAX_IMAGE_SIZE_MB = Number(process.env.MAX_IMAGE_SIZE_MB || 5);
+const MAX_IMAGES_PER_UPLOAD = 10;
+
+// Resized copies stored for each upload; widths never upscale the original
+const VARIANTS = {
+  large: { width: 1600, height: 1200, fit: 'inside' },
+  medium: { width: 800, height: 600, fit: 'inside' },
+  thumbnail: { width: 320, height: 240, fit: 'cover' }
+};
+
+// Multipart parser for property images, kept in memory until processed
+const imageUpload = multer({
+  storage: multer.memoryStorage(),
+  limits: { fileSize: MAX_IMAGE_SIZE_MB * 1024 * 1024, files: MAX_IMAGES_PER_UPLOAD },
+  fileFilter(req, file, cb) {
+    if (!ALLOWED_TYPES.includes(file.mimetype)) {
+      const err = new multer.MulterError('LIMIT_UNEXPECTED_FILE', file.fieldname);
+      err.message = `${file.originalname} is not a JPEG, PNG or WebP image`;
+      return cb(err);
+    }
+    cb(null, true);
+  }
+});
+
+// Readable message for a multer error
+const uploadErrorMessage = (err) => {
+  if (err.code === 'LIMIT_FILE_SIZE') return `Images must be ${MAX_IMAGE_SIZE_MB}MB or smaller`;
+  if (err.code === 'LIMIT_FILE_COUNT') return `Upload at most ${MAX_IMAGES_PER_UPLOAD} images at a time`;
+  return err.message || 'Invalid upload';
+};
+
+// Decode the upload (which also rejects files that only claim to be images),
+// then store the resized WebP variants. Returns the image subdocument data.
+const processPropertyImage = async (propertyId, file) => {
+  let metadata;
+  try {
+    metadata = await sharp(file.buffer).metadata();
+  } catch (err) {
+    return { error: `${file.originalname} could not be read as an image` };
+  }
+  if (!['jpeg', 'png', 'webp'].includes(metadata.format)) {
+    return { error: `${file.originalname} is not a JPEG, PNG or WebP image` };
+  }
+
+  const storage = getStorage();
+  const baseKey = `properties/${propertyId}/${crypto.randomBytes(8).toString('hex')}`;
+  const variants = {};
+  const keys = [];
+  for (const [name, size] of Object.entries(VARIANTS)) {
+    const buffer = await sharp(file.buffer)
+      .rotate()
+      .resize({ ...size, withoutEnlargement: size.fit === 'inside' })
+      .webp({ quality: 80 })
+      .toBuffer();
+    const key = `${baseKey}-${name}.webp`;
+    variants[name] = await storage.save(key, buffer, 'image/webp');
+    keys.push(key);
+  }
+
+  return {
+    image: {
+      url: variants.large,
+      variants,
+      storageKeys: keys,
+      width: metadata.width,
+      height: metadata.height,
+      size: file.size,
+      originalName: file.originalname
+    }
+  };
+};
+
+// Delete every stored variant of an image; best effort
+const removePropertyImage = async (image) => {
+  const storage = getStorage();
+  for (const key of image.storageKeys || []) {
+    try {
+      await storage.remove(key);
+    } catch (err) {
+      console.warn('Failed to remove stored image:', err?.message || err);
+    }
+  }
+};
+
+module.exports = {
+  imageUpload,
+  uploadErrorMessage,
+  processPropertyImage,
+  removePropertyImage
+};
@@ -0,0 +1,61 @@
+const fs = require('fs/promises');
+const path = require('path');
+
+// Storage adapters for uploaded files. An adapter exposes:
+//   save(key, buffer, contentType) -> public URL of the stored object
+//   remove(key)                    -> deletes the object, ignoring missing ones
+// Keys are relative paths such as "properties/<id>/<name>-thumb.webp", so a
+// bucket-backed adapter (S3, R2, MinIO) can be added alongside this one.
+
+const createLocalStorage = ({
+  root = process.env.UPLOAD_DIR || path.join(__dirname, '..', 'uploads'),
+  baseUrl = process.env.UPLOADS_BASE_URL || '/uploads'
+} = {}) => {
+  const resolveKey = (key) => {
+    const target = path.resolve(root, key);
+    if (!target.startsWith(path.resolve(root) + path.sep)) {
+      throw new Error(`Invalid storage key: ${key}`);
+    }
+    return target;
+  };
+
+  return {
+    root,
+    async save(key, buffer) {
+      const target = resolveKey(key);
+      await fs.mkdir(path.dirname(target), { recursive: true });
+      await fs.writeFile(target, buffer);
+      return `${baseUrl.replace(/\/$/, '')}/${key}`;
+    },
+    async remove(key) {
+      try {
+        await fs.unlink(resolveKey(key));
+      } catch (err) {
+        if (err.code !== 'ENOENT') throw err;
+      }
+    }
+  };
+};
+
+const adapters = {
+  local: createLocalStorage
+};
+
+let storage;
+
+// Adapter selected by IMAGE_STORAGE (default: local disk)
+const getStorage = () => {
+  if (!storage) {
+    const name = process.env.IMAGE_STORAGE || 'local';
+    if (!adapters[name]) {
+      throw new Error(`Unknown IMAGE_STORAGE adapter: ${name}`);
+    }
+    storage = adapters[name]();
+  }
+  return storage;
+};
+
+module.exports = {
+  createLocalStorage,
+  getStorage
+};
@@ -0,0 +1,98 @@
+const User = require('../models/User');
+const transporter = require('./mailer');
+const { createNotification, notifyAdmins } = require('./notificationService');
+
+// Listing review lifecycle (Property.moderationStatus). Listings created
+// before moderation existed have no status and count as published.
+const MODERATION_TRANSITIONS = {
+  draft: ['submitted'],
+  submitted: ['approved', 'rejected', 'changes_requested'],
+  changes_requested: ['submitted'],
+  rejected: ['submitted'],
+  approved: ['published'],
+  // An agent's content edit sends a live listing back for review
+  published: ['submitted']
+};
+
+// Condition that keeps unreviewed listings out of public queries
+const PUBLISHED_CONDITION = { moderationStatus: { $in: ['published', null] } };
+
+const isPublished = (property) => !property.moderationStatus || property.moderationStatus === 'published';
+
+// Move a listing to a new review state and record it. Returns { error,
+// statusCode: 409, details } for a move the lifecycle doesn't allow.
+const moveListing = (property, to, { actor, comment } = {}) => {
+  const from = property.moderationStatus || 'published';
+  if (!(MODERATION_TRANSITIONS[from] || []).includes(to)) {
+    return {
+      error: `Cannot move listing from ${from} to ${to}`,
+      statusCode: 409,
+      details: { moderationStatus: from, allowedTransitions: MODERATION_TRANSITIONS[from] || [] }
+    };
+  }
+
+  const now = new Date();
+  property.moderationStatus = to;
+  property.moderationHistory.push({ from, to, actor: actor?._id || actor, comment, date: now });
+  if (to === 'submitted') property.submittedAt = now;
+  if (['approved', 'rejected', 'changes_requested'].includes(to)) {
+    property.reviewedAt = now;
+    property.reviewedBy = actor?._id || actor;
+    property.reviewComment = comment;
+  }
+  if (to === 'published') property.publishedAt = now;
+  return { property };
+};
+
+// Tell the listing's agent about a review decision, in-app and by email
+const notifyListingAgent = async (property, { title, message }) => {
+  try {
+    const agent = await User.findById(property.agent).select('name email');
+    await createNotification({
+      userId: property.agent,
+      type: 'status',
+      title,
+      message,
+      metadata: { propertyId: property._id, moderationStatus: property.moderationStatus }
+    });
+    if (agent?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: agent.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px;">
+            <h2 style="margin:0 0 12px 0;">${title}</h2>
+            <p>Hello ${agent.name || ''},</p>
+            <p>${message}</p>
+            ${property.reviewComment ? `<p><strong>Reviewer comments:</strong> ${property.reviewComment}</p>` : ''}
+          </div>
+        `
+      });
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send listing review notification:', notifyErr?.message || notifyErr);
+  }
+};
+
+const notifyListingSubmitted = async (property, agentName) => {
+  try {
+    await notifyAdmins(
+      'status',
+      'Listing Awaiting Review',
+      `${agentName || 'An agent'} submitted ${property.title} for review.`,
+      { propertyId: property._id }
+    );
+  } catch (notifyErr) {
+    console.warn('Failed to notify admins about listing submission:', notifyErr?.message || notifyErr);
+  }
+};
+
+module.exports = {
+  MODERATION_TRANSITIONS,
+  PUBLISHED_CONDITION,
+  isPublished,
+  moveListing,
+  notifyListingAgent,
+  notifyListingSubmitted
+};
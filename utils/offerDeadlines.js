@@ -0,0 +1,14 @@
+const DAY_MS = 24 * 60 * 60 * 1000;
+const OFFER_VALIDITY_DAYS = Number(process.env.OFFER_VALIDITY_DAYS || 7);
+const ADVANCE_DEADLINE_DAYS = Number(process.env.ADVANCE_DEADLINE_DAYS || 3);
+
+// When a new (or reopened) offer lapses if nobody answers it
+const offerValidityEnd = (from = new Date()) => new Date(from.getTime() + OFFER_VALIDITY_DAYS * DAY_MS);
+
+// When an accepted offer lapses if its advance is still unpaid
+const advanceDeadline = (from = new Date()) => new Date(from.getTime() + ADVANCE_DEADLINE_DAYS * DAY_MS);
+
+module.exports = {
+  offerValidityEnd,
+  advanceDeadline
+};
@@ -0,0 +1,133 @@
+const mongoose = require('mongoose');
+const Offer = require('../models/Offer');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const transporter = require('./mailer');
+const { createNotification } = require('./notificationService');
+const { releaseProperty } = require('./propertyAvailability');
+const { historyEntry } = require('./offerStateMachine');
+
+const ADVANCE_REMINDER_HOURS = Number(process.env.ADVANCE_REMINDER_HOURS || 24);
+
+const notifyUser = async (userId, { title, message, metadata }) => {
+  const user = await User.findById(userId).select('name email');
+  await createNotification({ userId, type: 'purchase', title, message, metadata });
+  if (user?.email) {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: title,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px;">
+          <h2 style="margin:0 0 12px 0;">${title}</h2>
+          <p>Hello ${user.name || ''},</p>
+          <p>${message}</p>
+        </div>
+      `
+    });
+  }
+};
+
+const notifyLapse = async (offer, reason) => {
+  try {
+    const property = await Property.findById(offer.propertyId).select('title');
+    const propTitle = property?.title || 'the property';
+    const metadata = { offerId: offer._id, propertyId: offer.propertyId, reason };
+    const why = reason === 'advance_not_paid'
+      ? 'the advance was not paid before the deadline'
+      : 'it was not answered within its validity period';
+
+    await notifyUser(offer.agentId, {
+      title: 'Purchase Request Lapsed',
+      message: `A purchase request for ${propTitle} has expired because ${why}.`,
+      metadata
+    });
+    await notifyUser(offer.investorId, {
+      title: 'Purchase Request Expired',
+      message: `Your purchase request for ${propTitle} has expired because ${why}.`,
+      metadata
+    });
+  } catch (notifyErr) {
+    console.warn('Failed to send offer expiry notifications:', notifyErr?.message || notifyErr);
+  }
+};
+
+// Each offer is expired with a conditional update so a payment or response
+// that lands while the job is running is never overwritten.
+const expireOffers = async (filter, reason, now) => {
+  const candidates = await Offer.find(filter).select('_id');
+  let expired = 0;
+  for (const { _id } of candidates) {
+    const offer = await Offer.findOneAndUpdate(
+      { ...filter, _id },
+      {
+        $set: { status: 'expired', expiredAt: now, expiryReason: reason, updatedAt: now },
+        $push: { statusHistory: historyEntry(filter.status, 'expired', { reason }) }
+      },
+      { new: true }
+    );
+    if (!offer) continue;
+    expired += 1;
+    await Offer.updateOne(
+      { _id, 'rounds.status': 'open' },
+      { $set: { 'rounds.$.status': 'expired', 'rounds.$.respondedAt': now } }
+    );
+    if (reason === 'advance_not_paid') {
+      await releaseProperty(offer.propertyId, { excludeOfferId: offer._id });
+    }
+    await notifyLapse(offer, reason);
+  }
+  return expired;
+};
+
+// Warn buyers whose advance deadline is coming up, once per offer
+const sendAdvanceReminders = async (now) => {
+  const soon = new Date(now.getTime() + ADVANCE_REMINDER_HOURS * 60 * 60 * 1000);
+  const offers = await Offer.find({
+    status: 'accepted',
+    advancePaid: false,
+    advanceDueAt: { $gt: now, $lte: soon },
+    advanceReminderSentAt: { $exists: false }
+  });
+
+  for (const offer of offers) {
+    try {
+      const property = await Property.findById(offer.propertyId).select('title');
+      await notifyUser(offer.investorId, {
+        title: 'Advance Payment Due Soon',
+        message: `Please pay the advance for ${property?.title || 'the property'} by ${offer.advanceDueAt.toLocaleString('en-IN')}, otherwise your accepted purchase request will expire.`,
+        metadata: { offerId: offer._id, propertyId: offer.propertyId, advanceDueAt: offer.advanceDueAt }
+      });
+    } catch (notifyErr) {
+      console.warn('Failed to send advance reminder:', notifyErr?.message || notifyErr);
+    }
+    await Offer.updateOne({ _id: offer._id }, { $set: { advanceReminderSentAt: now } });
+  }
+  return offers.length;
+};
+
+// Background job: lapse stale offers and remind buyers about advance deadlines
+const runOfferExpiry = async () => {
+  try {
+    // Skip if DB not connected
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('🛑 Skipping offer expiry: MongoDB not connected');
+      return;
+    }
+    const now = new Date();
+    const reminded = await sendAdvanceReminders(now);
+    const lapsed = await expireOffers({ status: 'pending', expiresAt: { $lte: now } }, 'offer_lapsed', now);
+    const unpaid = await expireOffers(
+      { status: 'accepted', advancePaid: false, advanceDueAt: { $lte: now } },
+      'advance_not_paid',
+      now
+    );
+    console.log(`⏰ Offer expiry: ${lapsed} lapsed, ${unpaid} unpaid advances expired, ${reminded} reminders sent`);
+  } catch (error) {
+    console.error('Error running offer expiry:', error);
+  }
+};
+
+module.exports = {
+  runOfferExpiry
+};
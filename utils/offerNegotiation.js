@@ -0,0 +1,174 @@
+const User = require('../models/User');
+const Property = require('../models/Property');
+const transporter = require('./mailer');
+const { createNotification } = require('./notificationService');
+
+const ROUND_VALIDITY_DAYS = Number(process.env.OFFER_ROUND_VALIDITY_DAYS || 3);
+
+const roundExpiry = (expiresAt) => {
+  const requested = expiresAt ? new Date(expiresAt) : null;
+  if (requested && !Number.isNaN(requested.getTime()) && requested > new Date()) return requested;
+  return new Date(Date.now() + ROUND_VALIDITY_DAYS * 24 * 60 * 60 * 1000);
+};
+
+// Which side of the negotiation a user is on; admins act for the agent
+const partyRole = (offer, user) => {
+  if (!user) return null;
+  if (String(offer.investorId?._id || offer.investorId) === String(user._id)) return 'buyer';
+  if (user.userType === 'admin' || String(offer.agentId?._id || offer.agentId) === String(user._id)) return 'agent';
+  return null;
+};
+
+// Offers created before negotiation existed have no rounds; treat their
+// amount and message as the buyer's opening round.
+const ensureRounds = (offer) => {
+  if (offer.rounds.length > 0) return;
+  offer.rounds.push({
+    version: 1,
+    amount: offer.offerAmount,
+    author: offer.investorId,
+    authorRole: 'buyer',
+    message: offer.message,
+    expiresAt: offer.expiresAt,
+    createdAt: offer.createdAt
+  });
+};
+
+const latestOpenRound = (offer) => {
+  const last = offer.rounds[offer.rounds.length - 1];
+  return last && last.status === 'open' ? last : null;
+};
+
+const isRoundExpired = (round, now = new Date()) => Boolean(round?.expiresAt && round.expiresAt <= now);
+
+const addRound = (offer, user, role, { amount, message, expiresAt }) => {
+  offer.rounds.push({
+    version: offer.rounds.length + 1,
+    amount,
+    author: user._id,
+    authorRole: role,
+    message,
+    expiresAt: roundExpiry(expiresAt)
+  });
+  const round = offer.rounds[offer.rounds.length - 1];
+  // A pending offer stays open for as long as its latest round
+  offer.expiresAt = round.expiresAt;
+  return round;
+};
+
+// Answer the open round with a new amount. Each side can only counter the
+// other side's round, never its own.
+const addCounterOffer = (offer, user, { amount, message, expiresAt }) => {
+  const role = partyRole(offer, user);
+  if (!role) {
+    return { error: 'Forbidden', statusCode: 403 };
+  }
+  if (offer.status !== 'pending') {
+    return { error: 'Only pending purchase requests can be negotiated', statusCode: 400 };
+  }
+
+  const parsedAmount = Number(amount);
+  if (!Number.isFinite(parsedAmount) || parsedAmount <= 0) {
+    return { error: 'A valid counter-offer amount is required', statusCode: 400 };
+  }
+
+  ensureRounds(offer);
+  const open = latestOpenRound(offer);
+  if (open && open.authorRole === role) {
+    return { error: 'Waiting for the other party to respond to the current offer', statusCode: 409 };
+  }
+  if (open) {
+    open.status = 'countered';
+    open.respondedAt = new Date();
+  }
+
+  const round = addRound(offer, user, role, { amount: parsedAmount, message, expiresAt });
+  return { round, role };
+};
+
+// Accept the open round on behalf of the party that did not author it. The
+// accepted round's amount becomes the offer amount.
+const acceptOpenRound = (offer, user) => {
+  const role = partyRole(offer, user);
+  if (!role) {
+    return { error: 'Forbidden', statusCode: 403 };
+  }
+
+  ensureRounds(offer);
+  const open = latestOpenRound(offer);
+  if (!open) {
+    return { error: 'There is no open offer to accept', statusCode: 400 };
+  }
+  if (open.authorRole === role) {
+    const awaiting = role === 'agent' ? "the buyer's response to your counter-offer" : "the agent's response to your offer";
+    return { error: `Awaiting ${awaiting}`, statusCode: 409 };
+  }
+  if (isRoundExpired(open)) {
+    return { error: 'This offer has expired', statusCode: 400 };
+  }
+
+  open.status = 'accepted';
+  open.respondedAt = new Date();
+  offer.offerAmount = open.amount;
+  return { round: open, role };
+};
+
+// Close the open round without accepting it (rejected, withdrawn or expired)
+const closeOpenRound = (offer, status) => {
+  const open = latestOpenRound(offer);
+  if (open) {
+    open.status = status;
+    open.respondedAt = new Date();
+  }
+  return open;
+};
+
+// Tell the other side of the negotiation about the latest turn
+const notifyCounterparty = async (offer, role, { title, message }) => {
+  try {
+    const recipientId = role === 'buyer' ? offer.agentId : offer.investorId;
+    const [recipient, property] = await Promise.all([
+      User.findById(recipientId).select('name email'),
+      Property.findById(offer.propertyId).select('title')
+    ]);
+    const text = message(property?.title || 'the property');
+
+    await createNotification({
+      userId: recipientId,
+      type: 'purchase',
+      title,
+      message: text,
+      metadata: { offerId: offer._id, propertyId: offer.propertyId }
+    });
+
+    if (recipient?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: recipient.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px;">
+            <h2 style="margin:0 0 12px 0;">${title}</h2>
+            <p>Hello ${recipient.name || ''},</p>
+            <p>${text}</p>
+            <p>Please check your dashboard for details.</p>
+          </div>
+        `
+      });
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send negotiation notification:', notifyErr?.message || notifyErr);
+  }
+};
+
+module.exports = {
+  partyRole,
+  ensureRounds,
+  latestOpenRound,
+  isRoundExpired,
+  addRound,
+  addCounterOffer,
+  acceptOpenRound,
+  closeOpenRound,
+  notifyCounterparty
+};
@@ -0,0 +1,60 @@
+// Allowed Offer.status transitions. Every route or job that changes an offer's
+// status goes through transitionOffer so the rules live in one place.
+const TRANSITIONS = {
+  pending: ['accepted', 'rejected', 'withdrawn', 'expired', 'on_hold', 'closed'],
+  on_hold: ['pending', 'rejected', 'withdrawn', 'closed'],
+  accepted: ['advance_paid', 'rejected', 'withdrawn', 'cancelled', 'expired', 'closed'],
+  advance_paid: ['sold', 'cancelled', 'closed'],
+  cancelled: ['refunded'],
+  // A sale that falls through is cancelled so the advance can be refunded
+  sold: ['cancelled'],
+  rejected: [],
+  withdrawn: [],
+  refunded: [],
+  expired: [],
+  // A competing buyer's advance can still be refunded after the sale
+  closed: ['refunded']
+};
+
+const canTransition = (from, to) => (TRANSITIONS[from] || []).includes(to);
+
+const historyEntry = (from, to, { actor, reason } = {}) => ({
+  from,
+  to,
+  actor: actor?._id || actor,
+  reason,
+  date: new Date()
+});
+
+// Move an offer to a new status and record who did it and why. Returns
+// { error, statusCode: 409, details } for an illegal move; the offer is left
+// untouched in that case. Moving to the current status is a no-op.
+const transitionOffer = (offer, to, { actor, reason } = {}) => {
+  const from = offer.status;
+  if (from === to) return { offer, changed: false };
+  if (!canTransition(from, to)) {
+    return {
+      error: `Cannot move purchase request from ${from} to ${to}`,
+      statusCode: 409,
+      details: { currentStatus: from, allowedTransitions: TRANSITIONS[from] || [] }
+    };
+  }
+  offer.status = to;
+  offer.statusHistory.push(historyEntry(from, to, { actor, reason }));
+  return { offer, changed: true };
+};
+
+// Response body for a rejected transition
+const transitionErrorBody = (result) => ({
+  success: false,
+  message: result.error,
+  ...(result.details || {})
+});
+
+module.exports = {
+  TRANSITIONS,
+  canTransition,
+  historyEntry,
+  transitionOffer,
+  transitionErrorBody
+};
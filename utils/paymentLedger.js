@@ -0,0 +1,351 @@
+const Payment = require('../models/Payment');
+const Offer = require('../models/Offer');
+const User = require('../models/User');
+const Property = require('../models/Property');
+const transporter = require('./mailer');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { razorpay, toPaise, toRupees } = require('./razorpay');
+const { canTransition, historyEntry, transitionOffer } = require('./offerStateMachine');
+const { findAdvanceOrder } = require('./paymentVerification');
+
+const SUPPORTED_EVENTS = ['payment.captured', 'payment.failed', 'refund.processed'];
+
+// Orders created for an offer carry the receipt "offer_<offerId>"
+const offerIdFromReceipt = (receipt) => {
+  const match = /^offer_([a-f0-9]{24})$/i.exec(receipt || '');
+  return match ? match[1] : null;
+};
+
+// Match a Razorpay order to an offer through its receipt, falling back to the
+// order id recorded on the offer when the order was created.
+const resolveOrder = async (orderId) => {
+  if (!orderId) return { offerId: null, receipt: undefined };
+  let receipt;
+  try {
+    const order = await razorpay.orders.fetch(orderId);
+    receipt = order?.receipt;
+  } catch (e) {
+    console.warn(`Failed to fetch Razorpay order ${orderId}:`, e?.error?.description || e?.message || e);
+  }
+  let offerId = offerIdFromReceipt(receipt);
+  if (!offerId) {
+    const offer = await Offer.findOne({ 'paymentRef.orderId': orderId }).select('_id');
+    offerId = offer?._id || null;
+  }
+  return { offerId, receipt };
+};
+
+// Normalise a webhook body into ledger entry fields
+const entryFromWebhook = async (body, eventId) => {
+  const payment = body?.payload?.payment?.entity || {};
+  const refund = body?.payload?.refund?.entity || {};
+
+  let orderId = payment.order_id;
+  if (!orderId && refund.payment_id) {
+    try {
+      const fetched = await razorpay.payments.fetch(refund.payment_id);
+      orderId = fetched?.order_id;
+    } catch (e) {
+      console.warn(`Failed to fetch Razorpay payment ${refund.payment_id}:`, e?.error?.description || e?.message || e);
+    }
+  }
+  const { offerId, receipt } = await resolveOrder(orderId);
+  const isRefund = body.event === 'refund.processed';
+
+  return {
+    eventId: eventId || `${body.event}:${isRefund ? refund.id : payment.id}`,
+    event: body.event,
+    source: 'webhook',
+    offerId,
+    orderId,
+    receipt,
+    paymentId: isRefund ? refund.payment_id : payment.id,
+    refundId: isRefund ? refund.id : undefined,
+    amount: toRupees(isRefund ? refund.amount : payment.amount),
+    currency: (isRefund ? refund.currency : payment.currency) || 'INR',
+    method: payment.method,
+    errorReason: payment.error_description || payment.error_reason,
+    payload: body
+  };
+};
+
+const notifyAdvancePaid = async (offer, entry) => {
+  try {
+    const [agentUser, investorUser, property] = await Promise.all([
+      User.findById(offer.agentId).select('name email'),
+      User.findById(offer.investorId).select('name email'),
+      Property.findById(offer.propertyId).select('title')
+    ]);
+
+    await createNotification({
+      userId: offer.agentId,
+      type: 'payment',
+      title: 'Advance Payment Received',
+      message: `${investorUser?.name || 'Buyer'} paid advance for ${property?.title || 'the property'}.`,
+      metadata: { offerId: offer._id, amount: entry.amount }
+    });
+    await notifyAdmins(
+      'payment',
+      'Advance Payment Received',
+      `${investorUser?.name || 'Buyer'} paid advance for ${property?.title || 'the property'}.`,
+      { offerId: offer._id, amount: entry.amount }
+    );
+
+    if (agentUser?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: agentUser.email,
+        subject: 'Advance Payment Received',
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px;">
+            <h2 style="margin:0 0 12px 0;">Advance Payment Received</h2>
+            <p>The buyer ${investorUser?.name || ''} has paid an advance for <strong>${property?.title || 'the property'}</strong>.</p>
+            <p>Amount: <strong>₹${Number(entry.amount || 0).toLocaleString('en-IN')}</strong></p>
+            <p>Payment ID: ${entry.paymentId || ''}</p>
+            <p>Order ID: ${entry.orderId || ''}</p>
+          </div>
+        `
+      });
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send advance payment notifications:', notifyErr?.message || notifyErr);
+  }
+};
+
+// Mark the advance paid in one conditional update, so a checkout and its
+// webhook arriving together (different event ids) only apply it once
+const applyCaptured = async (entry, offer, { via, actor } = {}) => {
+  if (offer.advancePaid) {
+    return { outcome: 'already_applied' };
+  }
+  if (offer.status !== 'accepted') {
+    return { outcome: 'rejected', reason: `Offer is ${offer.status}, not accepted` };
+  }
+  const order = findAdvanceOrder(offer, entry.orderId);
+  if (!order) {
+    return { outcome: 'rejected', reason: 'Order was not created for this offer' };
+  }
+  if (toPaise(entry.amount) !== toPaise(order.amount)) {
+    return { outcome: 'rejected', reason: 'Captured amount does not match the order amount' };
+  }
+
+  const paidAt = new Date();
+  const updated = await Offer.findOneAndUpdate(
+    { _id: offer._id, advancePaid: { $ne: true }, status: 'accepted' },
+    {
+      $set: {
+        advancePaid: true,
+        advanceAmount: entry.amount,
+        advancePaidAt: paidAt,
+        status: 'advance_paid',
+        'paymentRef.orderId': entry.orderId,
+        'paymentRef.amount': entry.amount,
+        'paymentRef.paymentId': entry.paymentId,
+        'paymentRef.method': entry.method,
+        ...(entry.signature ? { 'paymentRef.signature': entry.signature } : {}),
+        paymentDetails: {
+          amount: entry.amount,
+          orderId: entry.orderId,
+          paymentId: entry.paymentId,
+          signature: entry.signature,
+          method: entry.method,
+          date: paidAt
+        }
+      },
+      $push: {
+        advanceAudit: {
+          action: 'paid',
+          amount: entry.amount,
+          orderId: entry.orderId,
+          paymentId: entry.paymentId,
+          via: via || entry.source,
+          actor,
+          date: paidAt
+        },
+        statusHistory: historyEntry('accepted', 'advance_paid', { actor, reason: 'Advance payment captured' })
+      }
+    },
+    { new: true }
+  );
+  if (!updated) {
+    // Someone else applied it (or the offer moved on) since it was loaded
+    const current = await Offer.findById(offer._id).select('advancePaid status');
+    return current?.advancePaid
+      ? { outcome: 'already_applied' }
+      : { outcome: 'rejected', reason: `Offer is ${current?.status || 'missing'}, not accepted` };
+  }
+  await notifyAdvancePaid(updated, entry);
+  return { outcome: 'applied', offer: updated };
+};
+
+const applyFailed = async (entry, offer) => {
+  offer.paymentFailures = offer.paymentFailures || [];
+  offer.paymentFailures.push({
+    orderId: entry.orderId,
+    paymentId: entry.paymentId,
+    amount: entry.amount,
+    reason: entry.errorReason || 'Payment failed',
+    date: new Date()
+  });
+  await offer.save();
+
+  try {
+    const property = await Property.findById(offer.propertyId).select('title');
+    await createNotification({
+      userId: offer.investorId,
+      type: 'payment',
+      title: 'Advance Payment Failed',
+      message: `Your advance payment for ${property?.title || 'the property'} did not go through. ${entry.errorReason || ''}`.trim(),
+      metadata: { offerId: offer._id, paymentId: entry.paymentId }
+    });
+  } catch (notifyErr) {
+    console.warn('Failed to send payment failure notification:', notifyErr?.message || notifyErr);
+  }
+  return { outcome: 'applied' };
+};
+
+// Tell the buyer and agent of an offer about a refund, in-app and by email
+const notifyRefund = async (offer, { title, message }) => {
+  try {
+    const [buyer, agent, property] = await Promise.all([
+      User.findById(offer.investorId).select('name email'),
+      User.findById(offer.agentId).select('name email'),
+      Property.findById(offer.propertyId).select('title')
+    ]);
+    const propTitle = property?.title || 'the property';
+    const text = message(propTitle);
+
+    for (const user of [buyer, agent]) {
+      if (!user) continue;
+      await createNotification({
+        userId: user._id,
+        type: 'payment',
+        title,
+        message: text,
+        metadata: { offerId: offer._id, propertyId: offer.propertyId }
+      });
+      if (user.email) {
+        await transporter.sendMail({
+          from: process.env.EMAIL_USER,
+          to: user.email,
+          subject: title,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px;">
+              <h2 style="margin:0 0 12px 0;">${title}</h2>
+              <p>Hello ${user.name || ''},</p>
+              <p>${text}</p>
+            </div>
+          `
+        });
+      }
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send refund notifications:', notifyErr?.message || notifyErr);
+  }
+};
+
+const applyRefund = async (entry, offer) => {
+  const processedAt = new Date();
+  let refund = offer.refunds.find((item) => item.refundId === entry.refundId);
+  if (refund?.status === 'processed') {
+    return { outcome: 'already_applied' };
+  }
+  if (refund) {
+    refund.status = 'processed';
+    refund.processedAt = processedAt;
+  } else {
+    // Refund started outside the app (e.g. from the Razorpay dashboard)
+    offer.refunds.push({ refundId: entry.refundId, amount: entry.amount, status: 'processed', processedAt });
+    refund = offer.refunds[offer.refunds.length - 1];
+  }
+
+  offer.refundedAmount = offer.refunds
+    .filter((item) => item.status === 'processed')
+    .reduce((sum, item) => sum + Number(item.amount || 0), 0);
+  if (canTransition(offer.status, 'refunded') && offer.refunds.every((item) => item.status !== 'pending')) {
+    transitionOffer(offer, 'refunded', { reason: 'All refunds processed' });
+  }
+  await offer.save();
+
+  await notifyRefund(offer, {
+    title: 'Advance Refund Processed',
+    message: (propTitle) => `A refund of ₹${Number(refund.amount || 0).toLocaleString('en-IN')} for the advance on ${propTitle} has been processed.`
+  });
+  try {
+    await notifyAdmins(
+      'payment',
+      'Refund Processed',
+      `A refund of ₹${Number(refund.amount || 0).toLocaleString('en-IN')} was processed for a purchase advance.`,
+      { offerId: offer._id, refundId: entry.refundId, amount: refund.amount }
+    );
+  } catch (notifyErr) {
+    console.warn('Failed to send refund notification:', notifyErr?.message || notifyErr);
+  }
+  return { outcome: 'applied' };
+};
+
+const appliers = {
+  'payment.captured': applyCaptured,
+  'payment.failed': applyFailed,
+  'refund.processed': applyRefund
+};
+
+// An entry whose applier started this long ago without finishing is assumed
+// to have crashed and may be picked up again
+const STALE_PROCESSING_MS = 5 * 60 * 1000;
+
+// Write a ledger entry once and let it drive the offer's payment state.
+// Returns { duplicate: true, entry, outcome } when the eventId has already been
+// applied (or is being applied right now). An entry that was stored but never
+// finished applying is re-run, so a redelivered event still reaches the offer.
+// `via` and `actor` describe where a checkout came from, for the offer's audit trail.
+const processLedgerEntry = async (data, { offer, via, actor } = {}) => {
+  let entry;
+  try {
+    entry = await Payment.create({ ...data, processingStartedAt: new Date() });
+  } catch (e) {
+    if (e?.code !== 11000) throw e;
+    entry = await Payment.findOneAndUpdate(
+      {
+        eventId: data.eventId,
+        processedAt: null,
+        $or: [
+          { processingStartedAt: null },
+          { processingStartedAt: { $lt: new Date(Date.now() - STALE_PROCESSING_MS) } }
+        ]
+      },
+      { $set: { processingStartedAt: new Date() } },
+      { new: true }
+    );
+    if (!entry) {
+      const existing = await Payment.findOne({ eventId: data.eventId });
+      return { duplicate: true, entry: existing, outcome: existing?.outcome };
+    }
+  }
+
+  let result = { outcome: 'unmatched', reason: 'No purchase request found for this order' };
+  try {
+    const target = offer || (entry.offerId ? await Offer.findById(entry.offerId) : null);
+    if (target) {
+      result = await appliers[entry.event](entry, target, { via, actor });
+    }
+  } catch (e) {
+    // Release the entry so the next delivery of this event applies it
+    await Payment.updateOne({ _id: entry._id }, { $unset: { processingStartedAt: 1 } })
+      .catch((releaseErr) => console.warn('Failed to release payment ledger entry:', releaseErr?.message || releaseErr));
+    throw e;
+  }
+
+  entry.outcome = result.outcome;
+  entry.outcomeReason = result.reason;
+  entry.processedAt = new Date();
+  await entry.save();
+  return { entry, outcome: result.outcome, reason: result.reason, offer: result.offer };
+};
+
+module.exports = {
+  SUPPORTED_EVENTS,
+  entryFromWebhook,
+  processLedgerEntry,
+  notifyRefund
+};
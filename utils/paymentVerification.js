@@ -0,0 +1,98 @@
+const { razorpay, toPaise, toRupees, verifyPaymentSignature } = require('./razorpay');
+
+const reject = (reason, statusCode = 400) => ({ verified: false, reason, statusCode });
+
+// The advance order this offer created with that id, latest or superseded
+// (checkout may have been reopened after the buyer paid an earlier order)
+const findAdvanceOrder = (offer, orderId) => {
+  if (!orderId) return null;
+  if (offer.paymentRef?.orderId === orderId) return offer.paymentRef;
+  return (offer.advanceAudit || []).find((item) => item.action === 'order_created' && item.orderId === orderId) || null;
+};
+
+// Confirms an advance payment against Razorpay before the offer is touched:
+// the checkout signature must match, the order must be the one created for this
+// offer (and for the amount recorded then), and the payment must be captured.
+const verifyAdvancePayment = async (offer, { orderId, paymentId, signature, amount }) => {
+  if (!orderId || !paymentId || !signature) {
+    return reject('orderId, paymentId and signature are required');
+  }
+
+  if (!verifyPaymentSignature({ orderId, paymentId, signature })) {
+    return reject('Invalid payment signature');
+  }
+
+  const advanceOrder = findAdvanceOrder(offer, orderId);
+  if (!advanceOrder) {
+    return reject('Payment order does not belong to this purchase request');
+  }
+
+  let order;
+  let payment;
+  try {
+    [order, payment] = await Promise.all([
+      razorpay.orders.fetch(orderId),
+      razorpay.payments.fetch(paymentId)
+    ]);
+  } catch (e) {
+    console.error('Failed to fetch payment from Razorpay', e?.error || e);
+    return reject('Unable to confirm payment with Razorpay', 502);
+  }
+
+  if (String(order?.notes?.offerId || '') !== String(offer._id)) {
+    return reject('Payment order does not belong to this purchase request');
+  }
+  if (payment?.order_id !== orderId) {
+    return reject('Payment does not belong to this order');
+  }
+
+  const expectedPaise = toPaise(advanceOrder.amount);
+  if (Number(order.amount) !== expectedPaise || Number(payment.amount) !== expectedPaise) {
+    return reject('Payment amount does not match the order');
+  }
+  if (amount !== undefined && amount !== null && toPaise(amount) !== expectedPaise) {
+    return reject('Payment amount does not match the order');
+  }
+
+  if (payment.status === 'authorized') {
+    try {
+      payment = await razorpay.payments.capture(paymentId, payment.amount, payment.currency);
+    } catch (e) {
+      console.error('Failed to capture Razorpay payment', e?.error || e);
+      return reject('Unable to capture payment', 502);
+    }
+  }
+  if (payment.status !== 'captured') {
+    return reject(`Payment not captured (status: ${payment.status || 'unknown'})`);
+  }
+
+  return {
+    verified: true,
+    amount: toRupees(payment.amount),
+    method: payment.method,
+    payment,
+    order
+  };
+};
+
+// Keep a trail of rejected verification attempts on the offer itself
+const recordPaymentFailure = async (offer, { orderId, paymentId, amount, reason, userId, via }) => {
+  const parsedAmount = Number.isFinite(Number(amount)) ? Number(amount) : undefined;
+  offer.paymentFailures = offer.paymentFailures || [];
+  offer.paymentFailures.push({
+    orderId,
+    paymentId,
+    amount: parsedAmount,
+    reason,
+    attemptedBy: userId,
+    date: new Date()
+  });
+  offer.advanceAudit.push({ action: 'verification_failed', amount: parsedAmount, orderId, paymentId, reason, via, actor: userId });
+  await offer.save();
+};
+
+module.exports = {
+  findAdvanceOrder,
+  verifyAdvancePayment,
+  recordPaymentFailure
+};
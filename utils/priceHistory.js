@@ -0,0 +1,38 @@
+const DEFAULT_REDUCED_WITHIN_DAYS = 30;
+
+const percentChange = (previousPrice, price) => (
+  previousPrice ? Math.round(((price - previousPrice) / previousPrice) * 10000) / 100 : null
+);
+
+// Entry for Property.priceHistory. The first entry of a listing has no
+// previous price; later ones carry the signed percent change (-8 = 8% cut).
+const priceChangeEntry = (previousPrice, price, { actor, reason } = {}) => ({
+  price,
+  previousPrice: previousPrice ?? undefined,
+  changePercent: percentChange(previousPrice, price) ?? undefined,
+  changedBy: actor?._id || actor,
+  reason,
+  changedAt: new Date()
+});
+
+// Summary kept on the listing itself so results and filters don't need the
+// full history
+const lastPriceChangeFrom = (entry) => ({
+  previousPrice: entry.previousPrice,
+  price: entry.price,
+  changePercent: entry.changePercent,
+  changedAt: entry.changedAt
+});
+
+// Condition for listings whose price was cut within the last `days` days
+const recentlyReducedCondition = (days = DEFAULT_REDUCED_WITHIN_DAYS) => ({
+  'lastPriceChange.changePercent': { $lt: 0 },
+  'lastPriceChange.changedAt': { $gte: new Date(Date.now() - days * 24 * 60 * 60 * 1000) }
+});
+
+module.exports = {
+  DEFAULT_REDUCED_WITHIN_DAYS,
+  priceChangeEntry,
+  lastPriceChangeFrom,
+  recentlyReducedCondition
+};
@@ -0,0 +1,149 @@
+const Property = require('../models/Property');
+const Project = require('../models/Project');
+const { priceChangeEntry } = require('./priceHistory');
+
+const MAX_UNITS_PER_REQUEST = 100;
+const UNIT_SELECT = 'title price status listingType bedrooms bathrooms area unit images moderationStatus';
+
+// Title for a unit listing, e.g. "Skyline Heights - 2 BHK, Tower A Unit 1204"
+const unitTitle = (project, unit, bedrooms) => {
+  const configuration = unit.configuration || (bedrooms ? `${bedrooms} BHK` : 'Unit');
+  const where = [unit.tower && `Tower ${unit.tower}`, unit.unitNumber && `Unit ${unit.unitNumber}`]
+    .filter(Boolean)
+    .join(' ');
+  return `${project.name} - ${configuration}${where ? `, ${where}` : ''}`.slice(0, 100);
+};
+
+// A new unit listing with the unit's own price, floor, configuration, rooms,
+// features and images. The project's description, amenities and media are not
+// copied; they are read from the populated project so they never go stale.
+// Address and location are copied for search and kept in step by
+// syncUnitsWithProject. Review state follows the same rules as
+// POST /api/properties: admin units go live, agent units start as drafts (or
+// submitted with submit: true).
+const buildUnitListing = (project, input, { actor, isAdmin, submit }) => {
+  const unit = {
+    tower: input.tower,
+    floor: input.floor,
+    unitNumber: input.unitNumber,
+    configuration: input.configuration
+  };
+  const title = input.title || unitTitle(project, unit, input.bedrooms);
+  const property = new Property({
+    title,
+    description: input.description || title,
+    price: input.price,
+    listingType: input.listingType,
+    rental: input.rental,
+    propertyType: input.propertyType || 'Apartment',
+    // Sold and let units get there through their offers and applications
+    status: 'active',
+    bedrooms: input.bedrooms,
+    bathrooms: input.bathrooms,
+    area: input.area,
+    address: project.address,
+    location: project.location?.coordinates?.length ? project.location : undefined,
+    locationSource: project.locationSource,
+    features: input.features,
+    images: input.images,
+    project: project._id,
+    unit,
+    agent: project.agent,
+    createdBy: actor
+  });
+
+  const initialState = isAdmin ? 'published' : (submit === true || submit === 'true' ? 'submitted' : 'draft');
+  const now = new Date();
+  property.priceHistory = [priceChangeEntry(null, property.price, { actor, reason: 'Listed' })];
+  property.moderationStatus = initialState;
+  property.moderationHistory = [{ to: initialState, actor, date: now }];
+  if (initialState === 'published') property.publishedAt = now;
+  if (initialState === 'submitted') property.submittedAt = now;
+  return property;
+};
+
+// Availability of a project's units, overall and per configuration
+const summarizeUnits = (units) => {
+  const available = (unit) => unit.status === 'active';
+  const prices = (list) => list.map((unit) => unit.price).filter((price) => price > 0);
+  const range = (list) => {
+    const values = prices(list);
+    return values.length ? { min: Math.min(...values), max: Math.max(...values) } : null;
+  };
+
+  const byConfiguration = new Map();
+  for (const unit of units) {
+    const key = unit.unit?.configuration || (unit.bedrooms ? `${unit.bedrooms} BHK` : 'Other');
+    if (!byConfiguration.has(key)) byConfiguration.set(key, []);
+    byConfiguration.get(key).push(unit);
+  }
+
+  return {
+    total: units.length,
+    available: units.filter(available).length,
+    priceRange: range(units.filter(available)),
+    configurations: [...byConfiguration.entries()].map(([configuration, list]) => ({
+      configuration,
+      total: list.length,
+      available: list.filter(available).length,
+      priceRange: range(list.filter(available))
+    }))
+  };
+};
+
+// Copy shared project details onto its units so search filters (city, map,
+// keyword) keep matching them
+const syncUnitsWithProject = (project) => Property.updateMany(
+  { project: project._id },
+  {
+    $set: {
+      address: project.address,
+      location: project.location?.coordinates?.length ? project.location : undefined,
+      locationSource: project.locationSource,
+      updatedAt: new Date()
+    }
+  }
+);
+
+// Swap the project ids in grouped search results for project summaries
+const attachProjects = async (groups) => {
+  const ids = groups.filter((group) => group.project).map((group) => group.project);
+  const projects = ids.length
+    ? await Project.find({ _id: { $in: ids } })
+      .select('name builder.name address amenities images constructionStatus possessionDate')
+      .lean()
+    : [];
+  const byId = new Map(projects.map((project) => [String(project._id), project]));
+  return groups.map((group) => (group.project
+    ? { ...group, project: byId.get(String(group.project)) || { _id: group.project } }
+    : group));
+};
+
+// Swap the listing ids in grouped search results for the listings, keeping
+// each one's distance from a map search
+const attachListings = async (groups) => {
+  const refs = groups.flatMap((group) => group.units || [group.property]);
+  const listings = refs.length
+    ? await Property.find({ _id: { $in: refs.map((ref) => ref._id) } })
+      .populate('agent', 'name email phone agentProfile')
+      .lean()
+    : [];
+  const byId = new Map(listings.map((listing) => [String(listing._id), listing]));
+  const expand = (ref) => {
+    const listing = byId.get(String(ref._id));
+    return listing && ref.distance !== undefined ? { ...listing, distance: ref.distance } : listing;
+  };
+  return groups.map((group) => (group.units
+    ? { ...group, units: group.units.map(expand).filter(Boolean) }
+    : { ...group, property: expand(group.property) }));
+};
+
+module.exports = {
+  MAX_UNITS_PER_REQUEST,
+  UNIT_SELECT,
+  buildUnitListing,
+  summarizeUnits,
+  syncUnitsWithProject,
+  attachProjects,
+  attachListings
+};
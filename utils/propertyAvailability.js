@@ -0,0 +1,39 @@
+const Offer = require('../models/Offer');
+const Property = require('../models/Property');
+const { reopenHeldOffers } = require('./competingOffers');
+
+// Offers in these states still hold the property for their buyer
+const HOLDING_STATUSES = ['accepted', 'advance_paid', 'sold'];
+
+// Put a property back on the market once the offer holding it has fallen
+// through, unless another offer on it is still live, and reopen the offers
+// that were on hold. Returns the property if its status changed.
+const releaseProperty = async (propertyId, { excludeOfferId } = {}) => {
+  const property = await Property.findById(propertyId);
+  if (!property) return null;
+
+  const stillHeld = await Offer.exists({
+    propertyId: property._id,
+    _id: { $ne: excludeOfferId },
+    status: { $in: HOLDING_STATUSES }
+  });
+  if (stillHeld) return null;
+
+  let released = null;
+  if (['pending', 'sold'].includes(property.status)) {
+    property.status = 'active';
+    property.soldDate = undefined;
+    property.soldPrice = undefined;
+    property.closing = undefined;
+    await property.save();
+    released = property;
+  }
+
+  await reopenHeldOffers(property);
+  return released;
+};
+
+module.exports = {
+  HOLDING_STATUSES,
+  releaseProperty
+};
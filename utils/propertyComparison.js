@@ -0,0 +1,172 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const VisitSlot = require('../models/VisitSlot');
+const UnavailableDate = require('../models/UnavailableDate');
+const { PUBLIC_STATUSES } = require('./propertyQuery');
+const { PUBLISHED_CONDITION } = require('./listingModeration');
+const { toYMD, toHM } = require('./dates');
+
+const MIN_COMPARE = 2;
+const MAX_COMPARE = 5;
+// Listed price within this percent of the predicted price counts as fair
+const FAIR_PRICE_PERCENT = 5;
+const RISK_ORDER = { Low: 0, Medium: 1, High: 2 };
+
+// Check the requested ids: 2-5 distinct ObjectIds. Returns { ids } or { error }.
+const parseCompareIds = (input) => {
+  if (!Array.isArray(input)) return { error: 'propertyIds must be an array' };
+  const ids = [...new Set(input.map(String))];
+  if (ids.length < MIN_COMPARE || ids.length > MAX_COMPARE) {
+    return { error: `Compare between ${MIN_COMPARE} and ${MAX_COMPARE} different properties` };
+  }
+  const invalid = ids.filter((id) => !mongoose.Types.ObjectId.isValid(id));
+  if (invalid.length) return { error: `Invalid property id: ${invalid.join(', ')}` };
+  return { ids };
+};
+
+const round = (value, places = 0) => {
+  const factor = 10 ** places;
+  return Math.round(value * factor) / factor;
+};
+
+const priceVsPredicted = (property) => {
+  if (!property.predictedPrice || !property.price) return null;
+  const difference = property.price - property.predictedPrice;
+  const percent = round((difference / property.predictedPrice) * 100, 1);
+  let verdict = 'fair';
+  if (percent > FAIR_PRICE_PERCENT) verdict = 'above';
+  if (percent < -FAIR_PRICE_PERCENT) verdict = 'below';
+  return { predictedPrice: property.predictedPrice, difference: round(difference), percent, verdict };
+};
+
+// Open (unbooked, not blacked out, not yet started) visit slots per property
+const openVisitSlots = async (propertyIds) => {
+  const now = new Date();
+  const today = toYMD(now);
+  const [slots, unavailable] = await Promise.all([
+    VisitSlot.find({ property: { $in: propertyIds }, isBooked: false, date: { $gte: today } })
+      .select('property date startTime endTime')
+      .sort({ date: 1, startTime: 1 }),
+    UnavailableDate.find({ property: { $in: propertyIds }, date: { $gte: today } }).select('property date')
+  ]);
+  const blocked = new Set(unavailable.map((entry) => `${entry.property}|${entry.date}`));
+  const currentTime = toHM(now);
+
+  const byProperty = new Map(propertyIds.map((id) => [String(id), []]));
+  for (const slot of slots) {
+    if (blocked.has(`${slot.property}|${slot.date}`)) continue;
+    if (slot.date === today && slot.startTime <= currentTime) continue;
+    byProperty.get(String(slot.property))?.push(slot);
+  }
+  return byProperty;
+};
+
+// Index of the best value in a row (lowest or highest), or null when the
+// values can't be ranked or are all equal
+const bestIndex = (values, prefer) => {
+  const ranked = values
+    .map((value, index) => ({ value, index }))
+    .filter(({ value }) => typeof value === 'number' && Number.isFinite(value));
+  if (ranked.length < 2 || ranked.every(({ value }) => value === ranked[0].value)) return null;
+  ranked.sort((a, b) => (prefer === 'lowest' ? a.value - b.value : b.value - a.value));
+  return ranked[0].index;
+};
+
+// Side-by-side comparison of published listings, in the order requested.
+// Returns { comparison } or { error, statusCode, details }.
+const compareProperties = async (ids) => {
+  const found = await Property.find({
+    _id: { $in: ids },
+    isActive: true,
+    status: { $in: PUBLIC_STATUSES },
+    ...PUBLISHED_CONDITION
+  })
+    .select('title price listingType rental propertyType status bedrooms bathrooms area address features images predictedPrice riskCategory riskScore')
+    .lean();
+  const byId = new Map(found.map((property) => [String(property._id), property]));
+  const missing = ids.filter((id) => !byId.has(id));
+  if (missing.length) {
+    return { error: 'Some properties were not found', statusCode: 404, details: { missing } };
+  }
+  const properties = ids.map((id) => byId.get(id));
+  // Rents and sale prices can't share a price row
+  if (new Set(properties.map((property) => property.listingType || 'sale')).size > 1) {
+    return { error: 'Compare either sale listings or rental listings, not both', statusCode: 400, details: {} };
+  }
+  const slots = await openVisitSlots(ids);
+
+  const allFeatures = [...new Set(properties.flatMap((property) => property.features || []))].sort();
+  const has = (property, feature) => (property.features || []).includes(feature);
+  const common = allFeatures.filter((feature) => properties.every((property) => has(property, feature)));
+  const differing = allFeatures
+    .filter((feature) => !common.includes(feature))
+    .map((feature) => ({ feature, present: properties.map((property) => has(property, feature)) }));
+
+  const columns = properties.map((property) => {
+    const image = property.images?.find((item) => item.isPrimary) || property.images?.[0];
+    const open = slots.get(String(property._id)) || [];
+    return {
+      _id: property._id,
+      title: property.title,
+      image: image?.variants?.thumbnail || image?.url || null,
+      listingType: property.listingType || 'sale',
+      rental: property.listingType === 'rent' ? property.rental : null,
+      propertyType: property.propertyType,
+      status: property.status,
+      city: property.address?.city,
+      state: property.address?.state,
+      price: property.price,
+      area: property.area ?? null,
+      pricePerSqft: property.area ? round(property.price / property.area) : null,
+      bedrooms: property.bedrooms,
+      bathrooms: property.bathrooms,
+      priceVsPredicted: priceVsPredicted(property),
+      riskCategory: property.riskCategory || null,
+      riskScore: property.riskScore ?? null,
+      features: property.features || [],
+      missingFeatures: allFeatures.filter((feature) => !has(property, feature)),
+      visits: {
+        openSlots: open.length,
+        nextSlot: open[0] ? { date: open[0].date, startTime: open[0].startTime, endTime: open[0].endTime } : null,
+        dates: [...new Set(open.map((slot) => slot.date))]
+      }
+    };
+  });
+
+  const row = (key, label, values, prefer) => ({
+    key,
+    label,
+    values,
+    best: prefer ? bestIndex(values, prefer) : null
+  });
+  const rows = [
+    row('price', properties[0].listingType === 'rent' ? 'Monthly rent' : 'Price',
+      columns.map((column) => column.price), 'lowest'),
+    row('pricePerSqft', 'Price per sq ft', columns.map((column) => column.pricePerSqft), 'lowest'),
+    row('area', 'Area (sq ft)', columns.map((column) => column.area), 'highest'),
+    row('bedrooms', 'Bedrooms', columns.map((column) => column.bedrooms), 'highest'),
+    row('bathrooms', 'Bathrooms', columns.map((column) => column.bathrooms), 'highest'),
+    row('priceVsPredicted', 'Listed vs predicted price (%)',
+      columns.map((column) => column.priceVsPredicted?.percent ?? null), 'lowest'),
+    row('riskCategory', 'Risk', columns.map((column) => column.riskCategory)),
+    row('openVisitSlots', 'Open visit slots', columns.map((column) => column.visits.openSlots), 'highest')
+  ];
+  // Risk ranks by category rather than by number
+  const riskRanks = columns.map((column) => RISK_ORDER[column.riskCategory] ?? null);
+  rows.find((item) => item.key === 'riskCategory').best = bestIndex(riskRanks, 'lowest');
+
+  return {
+    comparison: {
+      properties: columns,
+      rows,
+      features: { common, differing }
+    }
+  };
+};
+
+module.exports = {
+  MIN_COMPARE,
+  MAX_COMPARE,
+  parseCompareIds,
+  compareProperties
+};
@@ -0,0 +1,130 @@
+const crypto = require('crypto');
+const Property = require('../models/Property');
+const PropertyViewer = require('../models/PropertyViewer');
+const PropertyDailyStat = require('../models/PropertyDailyStat');
+const VisitRequest = require('../models/VisitRequest');
+const Offer = require('../models/Offer');
+const { toYMD } = require('./dates');
+
+// A returning viewer is counted again once this much time has passed
+const VIEW_WINDOW_MINUTES = Number(process.env.VIEW_WINDOW_MINUTES) || 30;
+const MAX_ENGAGEMENT_DAYS = 90;
+const BOT_PATTERN = /bot|crawl|spider|slurp|facebookexternalhit|embedly|preview|headless|curl|wget|python-requests|axios/i;
+
+const isDuplicateKey = (err) => err?.code === 11000;
+
+// Logged-in users are keyed by id; everyone else by a hash of IP and user agent
+const viewerKeyFor = (req) => {
+  if (req.user?.userId) return `user:${req.user.userId}`;
+  const fingerprint = `${req.ip}|${req.get('user-agent') || ''}`;
+  return `anon:${crypto.createHash('sha256').update(fingerprint).digest('hex')}`;
+};
+
+// Views from bots, admins and the listing's own agent are not counted
+const shouldCountView = (req, property) => {
+  const userAgent = req.get('user-agent');
+  if (!userAgent || BOT_PATTERN.test(userAgent)) return false;
+  if (req.userProfile?.userType === 'admin') return false;
+  const agentId = property.agent?._id || property.agent;
+  return !(req.user?.userId && String(agentId) === String(req.user.userId));
+};
+
+const bumpDailyStat = (propertyId, day, inc) => PropertyDailyStat.updateOne(
+  { property: propertyId, day },
+  { $inc: inc },
+  { upsert: true }
+);
+
+// Count a listing view at most once per viewer per window. The first view of
+// the day also counts as a unique viewer. Best effort: never fails the request.
+const recordView = async (req, property) => {
+  try {
+    if (!shouldCountView(req, property)) return false;
+    const now = new Date();
+    const day = toYMD(now);
+    const key = { property: property._id, viewerKey: viewerKeyFor(req), day };
+
+    let firstToday = true;
+    try {
+      await PropertyViewer.create({ ...key, lastCountedAt: now });
+    } catch (err) {
+      if (!isDuplicateKey(err)) throw err;
+      firstToday = false;
+      const windowStart = new Date(now.getTime() - VIEW_WINDOW_MINUTES * 60 * 1000);
+      const result = await PropertyViewer.updateOne(
+        { ...key, lastCountedAt: { $lte: windowStart } },
+        { $set: { lastCountedAt: now } }
+      );
+      if (!result.modifiedCount) return false;
+    }
+
+    await Promise.all([
+      Property.updateOne({ _id: property._id }, { $inc: { views: 1 } }),
+      bumpDailyStat(property._id, day, { views: 1, uniqueViewers: firstToday ? 1 : 0 })
+    ]);
+    return true;
+  } catch (err) {
+    console.warn('Failed to record property view:', err?.message || err);
+    return false;
+  }
+};
+
+const recordSave = async (propertyId) => {
+  try {
+    await bumpDailyStat(propertyId, toYMD(new Date()), { saves: 1 });
+  } catch (err) {
+    console.warn('Failed to record property save:', err?.message || err);
+  }
+};
+
+// Views, unique viewers, saves, visit requests and offers per day for the last
+// `days` days (oldest first, days with no activity included), plus totals
+const getEngagement = async (propertyId, days = 30) => {
+  const span = Math.min(Math.max(parseInt(days, 10) || 30, 1), MAX_ENGAGEMENT_DAYS);
+  const start = new Date();
+  start.setHours(0, 0, 0, 0);
+  start.setDate(start.getDate() - (span - 1));
+
+  const [stats, visits, offers] = await Promise.all([
+    PropertyDailyStat.find({ property: propertyId, day: { $gte: toYMD(start) } }),
+    VisitRequest.find({ property: propertyId, createdAt: { $gte: start } }).select('createdAt'),
+    Offer.find({ propertyId, createdAt: { $gte: start } }).select('createdAt')
+  ]);
+
+  const daily = new Map();
+  for (let i = 0; i < span; i += 1) {
+    const date = new Date(start);
+    date.setDate(start.getDate() + i);
+    daily.set(toYMD(date), { date: toYMD(date), views: 0, uniqueViewers: 0, saves: 0, visitRequests: 0, offers: 0 });
+  }
+  for (const stat of stats) {
+    const bucket = daily.get(stat.day);
+    if (!bucket) continue;
+    bucket.views = stat.views;
+    bucket.uniqueViewers = stat.uniqueViewers;
+    bucket.saves = stat.saves;
+  }
+  for (const visit of visits) {
+    const bucket = daily.get(toYMD(visit.createdAt));
+    if (bucket) bucket.visitRequests += 1;
+  }
+  for (const offer of offers) {
+    const bucket = daily.get(toYMD(offer.createdAt));
+    if (bucket) bucket.offers += 1;
+  }
+
+  const series = [...daily.values()];
+  const totals = series.reduce((sum, day) => {
+    for (const field of ['views', 'uniqueViewers', 'saves', 'visitRequests', 'offers']) sum[field] += day[field];
+    return sum;
+  }, { views: 0, uniqueViewers: 0, saves: 0, visitRequests: 0, offers: 0 });
+
+  return { days: span, from: toYMD(start), totals, daily: series };
+};
+
+module.exports = {
+  VIEW_WINDOW_MINUTES,
+  recordView,
+  recordSave,
+  getEngagement
+};
@@ -0,0 +1,455 @@
+// Shared query building for the public property search endpoints
+const { PUBLISHED_CONDITION } = require('./listingModeration');
+const { DEFAULT_REDUCED_WITHIN_DAYS, recentlyReducedCondition } = require('./priceHistory');
+
+// Statuses shown to the public: active listings, and sold or let ones for reference
+const PUBLIC_STATUSES = ['active', 'sold', 'rented'];
+
+const SORT_OPTIONS = {
+  'biggest-price-drop': { 'lastPriceChange.changePercent': 1 },
+  'price-low-high': { price: 1 },
+  'price-high-low': { price: -1 },
+  newest: { createdAt: -1 },
+  oldest: { createdAt: 1 }
+};
+
+const EARTH_RADIUS_KM = 6378.1;
+const MAX_RADIUS_KM = 500;
+
+const escapeRegex = (value) => String(value).replace(/[.*+?^${}()|[\]\\]/g, '\\$&');
+
+const escapeHtml = (value) => String(value)
+  .replace(/&/g, '&amp;')
+  .replace(/</g, '&lt;')
+  .replace(/>/g, '&gt;')
+  .replace(/"/g, '&quot;');
+
+const toNumber = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const number = Number(value);
+  return Number.isFinite(number) ? number : undefined;
+};
+
+// Room counts: an exact number, or "N+" for N or more
+const parseCount = (value) => {
+  if (value === undefined || value === null || value === '') return undefined;
+  const atLeast = /^(\d+)\+$/.exec(String(value).trim());
+  if (atLeast) return { $gte: Number(atLeast[1]) };
+  const number = toNumber(value);
+  return number === undefined ? undefined : Math.trunc(number);
+};
+
+const parseDate = (value) => {
+  if (!value) return undefined;
+  const date = new Date(value);
+  return Number.isNaN(date.getTime()) ? undefined : date;
+};
+
+// Listings saved before rentals existed have no listingType and are sales
+const listingTypeCondition = (type) => (type === 'rent'
+  ? { listingType: 'rent' }
+  : { listingType: { $in: ['sale', null] } });
+
+const parseList = (value) => (Array.isArray(value) ? value : String(value || '').split(','))
+  .map((item) => String(item).trim())
+  .filter(Boolean);
+
+// Filters split into the always-on base (visibility, keywords) and one
+// condition per facet, so facet counts can leave out their own filter.
+// City and state are matched as case-insensitive substrings of the literal
+// input, never as a raw pattern.
+const buildFilterParts = (query = {}) => {
+  const base = { isActive: true, status: { $in: PUBLIC_STATUSES }, ...PUBLISHED_CONDITION };
+  const q = typeof query.q === 'string' ? query.q.trim() : '';
+  if (q) base.$text = { $search: q };
+  if (query.recentlyReduced === 'true' || query.recentlyReduced === true) {
+    const days = toNumber(query.reducedWithinDays);
+    Object.assign(base, recentlyReducedCondition(days > 0 ? days : DEFAULT_REDUCED_WITHIN_DAYS));
+  }
+  // Only listings whose last change was a cut, so unchanged ones don't sort first
+  if (query.sortBy === 'biggest-price-drop') base['lastPriceChange.changePercent'] = { $lt: 0 };
+
+  // Sales unless rentals are asked for, so prices and rents are never mixed
+  const facets = { listingType: listingTypeCondition(query.listingType) };
+  const types = parseList(query.propertyType);
+  if (types.length) facets.propertyType = { propertyType: types.length === 1 ? types[0] : { $in: types } };
+  if (query.city) facets.city = { 'address.city': new RegExp(escapeRegex(query.city), 'i') };
+  if (query.state) facets.state = { 'address.state': new RegExp(escapeRegex(query.state), 'i') };
+
+  const bedrooms = parseCount(query.bedrooms);
+  const bathrooms = parseCount(query.bathrooms);
+  if (bedrooms !== undefined) facets.bedrooms = { bedrooms };
+  if (bathrooms !== undefined) facets.bathrooms = { bathrooms };
+
+  const minPrice = toNumber(query.minPrice);
+  const maxPrice = toNumber(query.maxPrice);
+  if (minPrice !== undefined || maxPrice !== undefined) {
+    const price = {};
+    if (minPrice !== undefined) price.$gte = minPrice;
+    if (maxPrice !== undefined) price.$lte = maxPrice;
+    facets.price = { price };
+  }
+
+  const features = parseList(query.features);
+  if (features.length) facets.features = { features: { $all: features } };
+
+  // Rental terms: furnishing, moving in by a date (listings with no date are
+  // available now), the longest lease wanted and the most deposit affordable
+  const furnishing = parseList(query.furnishing);
+  if (furnishing.length) facets.furnishing = { 'rental.furnishing': { $in: furnishing } };
+  const availableBy = parseDate(query.availableBy);
+  if (availableBy) facets.availableBy = { 'rental.availableFrom': { $not: { $gt: availableBy } } };
+  const leaseMonths = toNumber(query.leaseMonths);
+  if (leaseMonths !== undefined) facets.leaseMonths = { 'rental.minLeaseMonths': { $not: { $gt: leaseMonths } } };
+  const maxDeposit = toNumber(query.maxDeposit);
+  if (maxDeposit !== undefined) facets.maxDeposit = { 'rental.securityDeposit': { $not: { $gt: maxDeposit } } };
+
+  return { base, facets };
+};
+
+// Filter for GET /api/properties and friends
+const buildPropertyFilter = (query = {}) => {
+  const { base, facets } = buildFilterParts(query);
+  return Object.assign(base, ...Object.values(facets));
+};
+
+// Keyword searches are ordered by relevance unless another sort is asked for
+const buildSort = (sortBy, { textSearch = false } = {}) => {
+  if (textSearch && (!sortBy || sortBy === 'relevance')) {
+    return { score: { $meta: 'textScore' }, createdAt: -1 };
+  }
+  return SORT_OPTIONS[sortBy] || { createdAt: -1 };
+};
+
+const parsePagination = ({ page, limit } = {}, { defaultLimit = 10, maxLimit = 100 } = {}) => {
+  const pageNum = Math.max(parseInt(page, 10) || 1, 1);
+  const limitNum = Math.min(Math.max(parseInt(limit, 10) || defaultLimit, 1), maxLimit);
+  return { page: pageNum, limit: limitNum, skip: (pageNum - 1) * limitNum };
+};
+
+const parseNumberList = (value, count) => {
+  if (typeof value !== 'string') return null;
+  const parts = value.split(',').map((part) => Number(part.trim()));
+  return parts.length === count && parts.every(Number.isFinite) ? parts : null;
+};
+
+// Map search parameters: near=lat,lng (or lat & lng) with an optional radius
+// in km, and/or bbox=minLng,minLat,maxLng,maxLat. Returns null when none are
+// given, { error } when they are malformed, otherwise { point, radiusKm, bbox }
+// where point is the [lng, lat] distances are measured from (the box centre
+// when only a box is given).
+const parseGeoParams = (query = {}) => {
+  let point = null;
+  if (query.near !== undefined) {
+    const latLng = parseNumberList(query.near, 2);
+    if (!latLng) return { error: 'near must be "lat,lng"' };
+    point = [latLng[1], latLng[0]];
+  } else if (query.lat !== undefined || query.lng !== undefined) {
+    point = [Number(query.lng), Number(query.lat)];
+  }
+  if (point && !(Math.abs(point[1]) <= 90 && Math.abs(point[0]) <= 180)) {
+    return { error: 'Invalid search coordinates' };
+  }
+
+  let bbox = null;
+  if (query.bbox !== undefined) {
+    bbox = parseNumberList(query.bbox, 4);
+    if (!bbox || bbox[0] >= bbox[2] || bbox[1] >= bbox[3]
+      || Math.abs(bbox[1]) > 90 || Math.abs(bbox[3]) > 90 || Math.abs(bbox[0]) > 180 || Math.abs(bbox[2]) > 180) {
+      return { error: 'bbox must be "minLng,minLat,maxLng,maxLat"' };
+    }
+  }
+
+  let radiusKm = null;
+  if (query.radius !== undefined && query.radius !== '') {
+    radiusKm = Number(query.radius);
+    if (!point) return { error: 'radius requires a near point' };
+    if (!Number.isFinite(radiusKm) || radiusKm <= 0 || radiusKm > MAX_RADIUS_KM) {
+      return { error: `radius must be between 0 and ${MAX_RADIUS_KM} km` };
+    }
+  }
+
+  if (!point && !bbox) return null;
+  if (!point) point = [(bbox[0] + bbox[2]) / 2, (bbox[1] + bbox[3]) / 2];
+  return { point, radiusKm, bbox };
+};
+
+// Location conditions for a parsed map search, usable in find() and $geoNear
+const geoConditions = (geo) => {
+  const conditions = [];
+  if (geo.bbox) {
+    const [minLng, minLat, maxLng, maxLat] = geo.bbox;
+    conditions.push({
+      location: {
+        $geoWithin: {
+          $geometry: {
+            type: 'Polygon',
+            coordinates: [[[minLng, minLat], [maxLng, minLat], [maxLng, maxLat], [minLng, maxLat], [minLng, minLat]]]
+          }
+        }
+      }
+    });
+  }
+  if (geo.radiusKm) {
+    conditions.push({ location: { $geoWithin: { $centerSphere: [geo.point, geo.radiusKm / EARTH_RADIUS_KM] } } });
+  }
+  return conditions;
+};
+
+const withGeoConditions = (filter, geo) => {
+  const conditions = geoConditions(geo);
+  return conditions.length ? { ...filter, $and: [...(filter.$and || []), ...conditions] } : filter;
+};
+
+// Aggregation for a map search: nearest first unless another sort is asked
+// for, with each result's distance from the search point in km
+const buildGeoPipeline = (filter, geo, { sortBy, skip, limit }) => {
+  const pipeline = [
+    {
+      $geoNear: {
+        near: { type: 'Point', coordinates: geo.point },
+        distanceField: 'distance',
+        distanceMultiplier: 0.001,
+        spherical: true,
+        query: withGeoConditions(filter, { ...geo, radiusKm: null }),
+        ...(geo.radiusKm ? { maxDistance: geo.radiusKm * 1000 } : {})
+      }
+    },
+    { $addFields: { distance: { $round: ['$distance', 2] } } }
+  ];
+  if (SORT_OPTIONS[sortBy]) pipeline.push({ $sort: SORT_OPTIONS[sortBy] });
+  if (limit) pipeline.push({ $skip: skip }, { $limit: limit });
+  return pipeline;
+};
+
+const GROUP_UNIT_LIMIT = 10;
+
+// Results with a project's units folded into one entry per project, ordered
+// by each group's best-placed listing and paginated by group. Only ids (and
+// map distances) come back, as { type: 'property', property: { _id } } for
+// standalone listings and { type: 'project', project, units: [{ _id }],
+// unitCount, priceRange } for projects; see attachListings for the rest.
+const buildGroupedSearchPipeline = (filter, { geo, sortBy, textSearch, skip, limit }) => {
+  const stages = geo
+    ? buildGeoPipeline(filter, geo, { sortBy })
+    : [{ $match: filter }, ...(textSearch ? [{ $addFields: { score: { $meta: 'textScore' } } }] : [])];
+  const sort = geo ? (SORT_OPTIONS[sortBy] || { distance: 1 }) : buildSort(sortBy, { textSearch });
+  // The relevance sort is by the score field added above
+  const order = Object.entries(sort).map(([key, value]) => [key, typeof value === 'object' ? -1 : value]);
+  const inProject = { $ifNull: ['$project', false] };
+  // Each group keeps its best-placed listing's sort values as s0, s1, ...
+  const groupKeys = order.map(([key], index) => [`s${index}`, { $first: `$${key}` }]);
+
+  return [
+    ...stages,
+    { $project: { project: 1, price: 1, distance: 1, ...Object.fromEntries(order.map(([key]) => [key, 1])) } },
+    { $sort: Object.fromEntries(order) },
+    {
+      $group: {
+        _id: { $ifNull: ['$project', '$_id'] },
+        project: { $first: '$project' },
+        ...Object.fromEntries(groupKeys),
+        units: { $firstN: { input: { _id: '$_id', distance: '$distance' }, n: GROUP_UNIT_LIMIT } },
+        unitCount: { $sum: 1 },
+        minPrice: { $min: '$price' },
+        maxPrice: { $max: '$price' }
+      }
+    },
+    { $sort: { ...Object.fromEntries(order.map(([, value], index) => [`s${index}`, value])), _id: 1 } },
+    {
+      $facet: {
+        groups: [
+          { $skip: skip },
+          { $limit: limit },
+          {
+            $project: {
+              _id: 0,
+              type: { $cond: [inProject, 'project', 'property'] },
+              project: 1,
+              property: { $cond: [inProject, '$$REMOVE', { $arrayElemAt: ['$units', 0] }] },
+              units: { $cond: [inProject, '$units', '$$REMOVE'] },
+              unitCount: 1,
+              priceRange: { min: '$minPrice', max: '$maxPrice' }
+            }
+          }
+        ],
+        total: [{ $count: 'count' }]
+      }
+    }
+  ];
+};
+
+// Price ranges (INR) shown in the filter sidebar
+const PRICE_RANGES = [
+  { min: 0, max: 2500000, label: 'Under ₹25L' },
+  { min: 2500000, max: 5000000, label: '₹25L - ₹50L' },
+  { min: 5000000, max: 10000000, label: '₹50L - ₹1Cr' },
+  { min: 10000000, max: 20000000, label: '₹1Cr - ₹2Cr' },
+  { min: 20000000, max: 50000000, label: '₹2Cr - ₹5Cr' },
+  { min: 50000000, max: null, label: '₹5Cr+' }
+];
+// Monthly rent ranges (INR), used when browsing rentals
+const RENT_RANGES = [
+  { min: 0, max: 10000, label: 'Under ₹10K' },
+  { min: 10000, max: 25000, label: '₹10K - ₹25K' },
+  { min: 25000, max: 50000, label: '₹25K - ₹50K' },
+  { min: 50000, max: 100000, label: '₹50K - ₹1L' },
+  { min: 100000, max: null, label: '₹1L+' }
+];
+const priceRangesFor = (query = {}) => (query.listingType === 'rent' ? RENT_RANGES : PRICE_RANGES);
+const ROOM_BUCKET_CAP = 5;
+const FACET_VALUE_LIMIT = 20;
+
+const countBy = (field, { unwind = false } = {}) => [
+  ...(unwind ? [{ $unwind: `$${field}` }] : []),
+  { $match: { [field]: { $nin: [null, ''] } } },
+  { $group: { _id: `$${field}`, count: { $sum: 1 } } },
+  { $sort: { count: -1, _id: 1 } },
+  { $limit: FACET_VALUE_LIMIT }
+];
+
+// Room counts grouped as "0".."4" and "5+"
+const roomCounts = (field) => [
+  { $match: { [field]: { $ne: null } } },
+  {
+    $group: {
+      _id: { $cond: [{ $gte: [`$${field}`, ROOM_BUCKET_CAP] }, `${ROOM_BUCKET_CAP}+`, { $toString: `$${field}` }] },
+      count: { $sum: 1 }
+    }
+  },
+  { $sort: { _id: 1 } }
+];
+
+// One aggregation for every facet: the base filter (visibility, keywords,
+// map area) runs once, then each facet applies all the other active filters
+// but not its own, so buyers see how many results each choice would give.
+const buildFacetPipeline = (query = {}, geo = null) => {
+  const { base, facets } = buildFilterParts(query);
+  const others = (name) => {
+    const conditions = Object.entries(facets).filter(([key]) => key !== name).map(([, condition]) => condition);
+    return conditions.length ? [{ $match: { $and: conditions } }] : [];
+  };
+  const groupStages = {
+    listingType: [
+      { $group: { _id: { $ifNull: ['$listingType', 'sale'] }, count: { $sum: 1 } } },
+      { $sort: { _id: 1 } }
+    ],
+    propertyType: countBy('propertyType'),
+    city: countBy('address.city'),
+    state: countBy('address.state'),
+    bedrooms: roomCounts('bedrooms'),
+    bathrooms: roomCounts('bathrooms'),
+    price: [
+      {
+        $bucket: {
+          groupBy: '$price',
+          boundaries: [...priceRangesFor(query).map((range) => range.min), Number.MAX_SAFE_INTEGER],
+          default: 'other',
+          output: { count: { $sum: 1 } }
+        }
+      }
+    ],
+    features: countBy('features', { unwind: true }),
+    furnishing: countBy('rental.furnishing')
+  };
+
+  const facetStage = { total: [...others(null), { $count: 'count' }] };
+  Object.entries(groupStages).forEach(([name, stages]) => {
+    facetStage[name] = [...others(name), ...stages];
+  });
+
+  return [
+    { $match: geo ? withGeoConditions(base, geo) : base },
+    { $facet: facetStage }
+  ];
+};
+
+// Shape the $facet output for the filter sidebar
+const formatFacets = ([result = {}], query = {}) => {
+  const values = (rows = []) => rows.map((row) => ({ value: row._id, count: row.count }));
+  const priceCounts = new Map((result.price || []).map((row) => [row._id, row.count]));
+  return {
+    total: result.total?.[0]?.count || 0,
+    listingType: values(result.listingType),
+    propertyType: values(result.propertyType),
+    city: values(result.city),
+    state: values(result.state),
+    bedrooms: values(result.bedrooms),
+    bathrooms: values(result.bathrooms),
+    price: priceRangesFor(query).map((range) => ({ ...range, count: priceCounts.get(range.min) || 0 })),
+    features: values(result.features),
+    furnishing: values(result.furnishing)
+  };
+};
+
+// Words from a search string that should be highlighted (negated terms and
+// one-letter words are skipped)
+const searchTerms = (q) => {
+  if (!q) return [];
+  const positive = String(q).replace(/(^|\s)-\S+/g, ' ');
+  const words = positive.toLowerCase().match(/[\p{L}\p{N}]+/gu) || [];
+  return [...new Set(words.filter((word) => word.length > 1))];
+};
+
+// Excerpt of text around the first matching term, HTML-escaped, with every
+// match wrapped in <mark>. Terms match word prefixes so stemmed hits
+// ("apartments" for "apartment") are highlighted too.
+const snippet = (text, terms, radius = 60) => {
+  if (!text || terms.length === 0) return null;
+  const source = String(text);
+  const pattern = new RegExp(`\\b(?:${terms.map(escapeRegex).join('|')})[\\p{L}\\p{N}]*`, 'giu');
+  const first = pattern.exec(source);
+  if (!first) return null;
+
+  const start = Math.max(first.index - radius, 0);
+  const end = Math.min(first.index + first[0].length + radius, source.length);
+  const excerpt = source.slice(start, end);
+
+  let html = '';
+  let cursor = 0;
+  pattern.lastIndex = 0;
+  for (const match of excerpt.matchAll(pattern)) {
+    html += escapeHtml(excerpt.slice(cursor, match.index));
+    html += `<mark>${escapeHtml(match[0])}</mark>`;
+    cursor = match.index + match[0].length;
+  }
+  html += escapeHtml(excerpt.slice(cursor));
+
+  return `${start > 0 ? '…' : ''}${html}${end < source.length ? '…' : ''}`;
+};
+
+// Highlighted snippets for each indexed field that matched the search
+const buildHighlights = (property, q) => {
+  const terms = searchTerms(q);
+  const address = property.address || {};
+  const highlights = {
+    title: snippet(property.title, terms, 100),
+    description: snippet(property.description, terms),
+    address: snippet([address.street, address.city, address.state].filter(Boolean).join(', '), terms, 100),
+    features: (property.features || []).map((feature) => snippet(feature, terms, 100)).filter(Boolean)
+  };
+  if (!highlights.features.length) delete highlights.features;
+  Object.keys(highlights).forEach((key) => {
+    if (highlights[key] === null) delete highlights[key];
+  });
+  return highlights;
+};
+
+module.exports = {
+  PUBLIC_STATUSES,
+  listingTypeCondition,
+  EARTH_RADIUS_KM,
+  escapeRegex,
+  escapeHtml,
+  buildPropertyFilter,
+  buildSort,
+  parsePagination,
+  parseGeoParams,
+  withGeoConditions,
+  buildGeoPipeline,
+  buildGroupedSearchPipeline,
+  buildFacetPipeline,
+  formatFacets,
+  searchTerms,
+  buildHighlights
+};
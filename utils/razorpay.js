@@ -0,0 +1,54 @@
+const crypto = require('crypto');
+const Razorpay = require('razorpay');
+
+const keyId = process.env.RAZORPAY_KEY_ID;
+const keySecret = process.env.RAZORPAY_KEY_SECRET;
+const webhookSecret = process.env.RAZORPAY_WEBHOOK_SECRET;
+
+if (!keyId) {
+  throw new Error('RAZORPAY_KEY_ID is not set');
+}
+// Without the key secret no checkout signature can be verified, so every
+// advance payment is rejected until it is configured
+if (!keySecret) {
+  console.warn('RAZORPAY_KEY_SECRET is not set; checkout payments will be rejected');
+}
+
+const razorpay = new Razorpay({ key_id: keyId, key_secret: keySecret });
+
+const toPaise = (amountInRupees) => Math.round(Number(amountInRupees) * 100);
+const toRupees = (amountInPaise) => Number(amountInPaise || 0) / 100;
+
+// Constant-time comparison of a hex HMAC against the signature we were given
+const safeCompare = (expected, received) => {
+  if (typeof received !== 'string') return false;
+  const expectedBuf = Buffer.from(expected);
+  const receivedBuf = Buffer.from(received);
+  // Multi-byte characters can match in string length but not in bytes
+  if (receivedBuf.length !== expectedBuf.length) return false;
+  return crypto.timingSafeEqual(expectedBuf, receivedBuf);
+};
+
+// Checkout signature: HMAC_SHA256(order_id + "|" + payment_id, key_secret)
+const verifyPaymentSignature = ({ orderId, paymentId, signature }) => {
+  if (!keySecret || !orderId || !paymentId || !signature) return false;
+  const expected = crypto.createHmac('sha256', keySecret).update(`${orderId}|${paymentId}`).digest('hex');
+  return safeCompare(expected, signature);
+};
+
+// Webhook signature: HMAC_SHA256(raw request body, webhook secret)
+const verifyWebhookSignature = (rawBody, signature) => {
+  if (!webhookSecret || !rawBody || !signature) return false;
+  const expected = crypto.createHmac('sha256', webhookSecret).update(rawBody).digest('hex');
+  return safeCompare(expected, signature);
+};
+
+module.exports = {
+  razorpay,
+  keyId,
+  toPaise,
+  toRupees,
+  safeCompare,
+  verifyPaymentSignature,
+  verifyWebhookSignature
+};
@@ -0,0 +1,273 @@
+const Property = require('../models/Property');
+const User = require('../models/User');
+const Offer = require('../models/Offer');
+const VisitRequest = require('../models/VisitRequest');
+const { PUBLISHED_CONDITION } = require('./listingModeration');
+const { EARTH_RADIUS_KM, escapeRegex, listingTypeCondition } = require('./propertyQuery');
+
+const CANDIDATE_POOL_SIZE = 300;
+const RECENT_DAYS = 14;
+const SIMILAR_RADIUS_KM = 15;
+const SIMILAR_PRICE_BAND = 0.3;
+
+const formatPrice = (value) => {
+  if (value >= 10000000) return `₹${(value / 10000000).toFixed(2).replace(/\.?0+$/, '')}Cr`;
+  if (value >= 100000) return `₹${(value / 100000).toFixed(1).replace(/\.0$/, '')}L`;
+  return `₹${Number(value || 0).toLocaleString('en-IN')}`;
+};
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+const median = (values) => {
+  const sorted = values.filter((value) => Number.isFinite(value) && value > 0).sort((a, b) => a - b);
+  if (!sorted.length) return null;
+  const mid = Math.floor(sorted.length / 2);
+  return sorted.length % 2 ? sorted[mid] : (sorted[mid - 1] + sorted[mid]) / 2;
+};
+
+const countValues = (values) => values.reduce((counts, value) => {
+  if (value) counts.set(value, (counts.get(value) || 0) + 1);
+  return counts;
+}, new Map());
+
+// What we know about a buyer's taste: stated preferences plus the
+// properties they saved, asked to visit or made offers on. listingTypes is
+// what they've been browsing (sale, rent or both), sale when we can't tell.
+const buildTasteProfile = async (userId) => {
+  const [user, visits, offers] = await Promise.all([
+    User.findById(userId).select('preferences savedProperties'),
+    VisitRequest.find({ requester: userId }).select('property').limit(50),
+    Offer.find({ investorId: userId }).select('propertyId').limit(50)
+  ]);
+  if (!user) return null;
+
+  const savedIds = (user.savedProperties || []).map(String);
+  const engagedIds = [...new Set([
+    ...savedIds,
+    ...visits.map((visit) => String(visit.property)),
+    ...offers.map((offer) => String(offer.propertyId))
+  ])];
+  const engaged = engagedIds.length
+    ? await Property.find({ _id: { $in: engagedIds } }).select('propertyType listingType address.city features price')
+    : [];
+
+  const prefs = user.preferences || {};
+  const range = prefs.priceRange || {};
+  const historyTarget = median(engaged.map((property) => property.price));
+  const rangeTarget = range.min && range.max ? (range.min + range.max) / 2 : (range.max || range.min || null);
+  const listingTypes = [...new Set(engaged.map((property) => (property.listingType === 'rent' ? 'rent' : 'sale')))];
+
+  return {
+    excludeIds: engagedIds,
+    listingTypes: listingTypes.length ? listingTypes : ['sale'],
+    preferredTypes: new Set((prefs.propertyTypes || []).map(lower)),
+    preferredCities: new Set((prefs.locations || []).map(lower)),
+    priceRange: { min: range.min, max: range.max },
+    historyTypes: countValues(engaged.map((property) => lower(property.propertyType))),
+    historyCities: countValues(engaged.map((property) => lower(property.address?.city))),
+    historyFeatures: countValues(engaged.flatMap((property) => (property.features || []).map(lower))),
+    targetPrice: rangeTarget || historyTarget,
+    hasSignals: Boolean(engaged.length || prefs.propertyTypes?.length || prefs.locations?.length || rangeTarget)
+  };
+};
+
+// Score one listing against a taste profile; returns the score and the
+// reasons behind its biggest contributions
+const scoreProperty = (property, profile) => {
+  const parts = [];
+  const type = lower(property.propertyType);
+  const city = lower(property.address?.city);
+
+  if (profile.preferredTypes.has(type)) {
+    parts.push({ points: 3, reason: `A ${property.propertyType}, one of your preferred property types` });
+  } else if (profile.historyTypes.has(type)) {
+    parts.push({ points: 2, reason: `Similar to other ${property.propertyType} listings you've looked at` });
+  }
+
+  if (profile.preferredCities.has(city)) {
+    parts.push({ points: 3, reason: `In ${property.address.city}, one of your preferred locations` });
+  } else if (profile.historyCities.has(city)) {
+    parts.push({ points: 2, reason: `In ${property.address.city}, where you've been looking` });
+  }
+
+  const shared = (property.features || []).filter((feature) => profile.historyFeatures.has(lower(feature)));
+  if (shared.length) {
+    parts.push({
+      points: Math.min(shared.length, 4),
+      reason: `Has ${shared.slice(0, 2).join(' and ')} like properties you saved or visited`
+    });
+  }
+
+  const { min, max } = profile.priceRange;
+  if ((min || max) && (!min || property.price >= min) && (!max || property.price <= max)) {
+    parts.push({ points: 2, reason: `Within your budget${max ? ` of up to ${formatPrice(max)}` : ''}` });
+  }
+  if (profile.targetPrice) {
+    const closeness = 1 - Math.abs(property.price - profile.targetPrice) / profile.targetPrice;
+    if (closeness > 0) {
+      parts.push({
+        points: 3 * closeness,
+        reason: closeness > 0.8 ? `Priced close to what you've been considering (${formatPrice(profile.targetPrice)})` : null
+      });
+    }
+  }
+
+  const ageDays = (Date.now() - new Date(property.createdAt).getTime()) / (24 * 60 * 60 * 1000);
+  if (ageDays <= RECENT_DAYS) parts.push({ points: 0.5, reason: null });
+  parts.push({ points: Math.log10((property.views || 0) + 1) * 0.3, reason: null });
+
+  const score = parts.reduce((sum, part) => sum + part.points, 0);
+  const reasons = parts
+    .filter((part) => part.reason)
+    .sort((a, b) => b.points - a.points)
+    .slice(0, 2)
+    .map((part) => part.reason);
+  return { score: Math.round(score * 100) / 100, reasons };
+};
+
+// Live listings, optionally only of the given listing types; both types
+// together need no condition
+const candidateFilter = (excludeIds = [], listingTypes = []) => ({
+  isActive: true,
+  status: 'active',
+  ...PUBLISHED_CONDITION,
+  ...(listingTypes.length === 1 ? listingTypeCondition(listingTypes[0]) : {}),
+  ...(excludeIds.length ? { _id: { $nin: excludeIds } } : {})
+});
+
+// Most viewed and enquired-about listings, for visitors we know nothing
+// about; sale listings unless other listing types are asked for
+const popularProperties = async (limit, excludeIds = [], listingTypes = ['sale']) => {
+  const properties = await Property.aggregate([
+    { $match: candidateFilter(excludeIds, listingTypes) },
+    { $addFields: { popularity: { $add: [{ $ifNull: ['$views', 0] }, { $multiply: [{ $ifNull: ['$inquiries', 0] }, 3] }] } } },
+    { $sort: { popularity: -1, createdAt: -1 } },
+    { $limit: limit }
+  ]);
+  await Property.populate(properties, { path: 'agent', select: 'name email phone' });
+  return properties.map((property) => ({
+    ...property,
+    recommendation: {
+      score: property.popularity,
+      reasons: [property.inquiries > 0 ? 'Popular with buyers right now' : 'Trending listing']
+    }
+  }));
+};
+
+// Ranked feed for a user, or the popularity feed when there's no user or
+// nothing to go on yet
+const recommendProperties = async (userId, { limit = 10 } = {}) => {
+  const profile = userId ? await buildTasteProfile(userId) : null;
+  if (!profile || !profile.hasSignals) {
+    return { personalised: false, properties: await popularProperties(limit, profile?.excludeIds, profile?.listingTypes) };
+  }
+
+  const exactly = (values) => values.map((value) => new RegExp(`^${escapeRegex(value)}$`, 'i'));
+  const types = [...new Set([...profile.preferredTypes, ...profile.historyTypes.keys()])];
+  const cities = [...new Set([...profile.preferredCities, ...profile.historyCities.keys()])];
+  const interesting = [
+    ...(types.length ? [{ propertyType: { $in: exactly(types) } }] : []),
+    ...(cities.length ? [{ 'address.city': { $in: exactly(cities) } }] : [])
+  ];
+  const candidates = await Property.find({
+    ...candidateFilter(profile.excludeIds, profile.listingTypes),
+    ...(interesting.length ? { $or: interesting } : {})
+  })
+    .sort({ createdAt: -1 })
+    .populate('agent', 'name email phone')
+    .limit(CANDIDATE_POOL_SIZE)
+    .lean();
+
+  const ranked = candidates
+    .map((property) => ({ ...property, recommendation: scoreProperty(property, profile) }))
+    .sort((a, b) => b.recommendation.score - a.recommendation.score)
+    .slice(0, limit);
+
+  // Top up thin feeds with popular listings
+  if (ranked.length < limit) {
+    const seen = [...profile.excludeIds, ...ranked.map((property) => String(property._id))];
+    ranked.push(...await popularProperties(limit - ranked.length, seen, profile.listingTypes));
+  }
+  return { personalised: true, properties: ranked };
+};
+
+// Great-circle distance in km between two GeoJSON [lng, lat] points
+const distanceKm = ([lng1, lat1], [lng2, lat2]) => {
+  const rad = (deg) => (deg * Math.PI) / 180;
+  const a = Math.sin(rad(lat2 - lat1) / 2) ** 2
+    + Math.cos(rad(lat1)) * Math.cos(rad(lat2)) * Math.sin(rad(lng2 - lng1) / 2) ** 2;
+  return 2 * EARTH_RADIUS_KM * Math.asin(Math.sqrt(a));
+};
+
+// 0..1 closeness of two numbers, 0 once they differ by `tolerance` of the first
+const closeness = (value, other, tolerance) => {
+  if (!value || !other) return null;
+  return Math.max(0, 1 - Math.abs(other - value) / (value * tolerance));
+};
+
+// How alike a candidate is to the listing being viewed, out of 100, weighted
+// towards location and price
+const similarityScore = (property, candidate) => {
+  const parts = [];
+  const point = property.location?.coordinates;
+  const otherPoint = candidate.location?.coordinates;
+  const distance = point?.length === 2 && otherPoint?.length === 2 ? distanceKm(point, otherPoint) : null;
+  const sameCity = lower(candidate.address?.city) === lower(property.address?.city);
+  const nearby = distance !== null ? Math.max(0, 1 - distance / SIMILAR_RADIUS_KM) : 0;
+  parts.push({ weight: 3, value: Math.max(nearby, sameCity ? 0.6 : 0) });
+
+  parts.push({ weight: 3, value: closeness(property.price, candidate.price, SIMILAR_PRICE_BAND) ?? 0 });
+
+  const bedroomGap = Math.abs((candidate.bedrooms || 0) - (property.bedrooms || 0));
+  parts.push({ weight: 2, value: bedroomGap === 0 ? 1 : bedroomGap === 1 ? 0.5 : 0 });
+
+  // Area only counts when both listings state it
+  const area = closeness(property.area, candidate.area, 0.5);
+  if (area !== null) parts.push({ weight: 2, value: area });
+
+  const total = parts.reduce((sum, part) => sum + part.weight, 0);
+  const score = parts.reduce((sum, part) => sum + part.weight * part.value, 0) / total;
+  return {
+    score: Math.round(score * 100),
+    distanceKm: distance === null ? null : Math.round(distance * 100) / 100,
+    sameCity
+  };
+};
+
+// Active, published listings of the same kind (sale or rent) and property
+// type in the same city or nearby, within the price band, best match first
+const findSimilarProperties = async (property, { limit = 6 } = {}) => {
+  const point = property.location?.coordinates;
+  const area = [{ 'address.city': new RegExp(`^${escapeRegex(property.address?.city || '')}$`, 'i') }];
+  if (point?.length === 2) {
+    area.push({ location: { $geoWithin: { $centerSphere: [point, SIMILAR_RADIUS_KM / EARTH_RADIUS_KM] } } });
+  }
+
+  const candidates = await Property.find({
+    ...candidateFilter([property._id]),
+    ...listingTypeCondition(property.listingType),
+    propertyType: property.propertyType,
+    price: {
+      $gte: property.price * (1 - SIMILAR_PRICE_BAND),
+      $lte: property.price * (1 + SIMILAR_PRICE_BAND)
+    },
+    $or: area
+  })
+    .populate('agent', 'name email phone')
+    .sort({ createdAt: -1 })
+    .limit(CANDIDATE_POOL_SIZE)
+    .lean();
+
+  return candidates
+    .map((candidate) => ({ ...candidate, similarity: similarityScore(property, candidate) }))
+    .sort((a, b) => b.similarity.score - a.similarity.score)
+    .slice(0, limit);
+};
+
+module.exports = {
+  buildTasteProfile,
+  scoreProperty,
+  recommendProperties,
+  similarityScore,
+  findSimilarProperties
+};
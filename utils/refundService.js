@@ -0,0 +1,90 @@
+const { razorpay, toPaise, toRupees } = require('./razorpay');
+const { processLedgerEntry, notifyRefund } = require('./paymentLedger');
+const { releaseProperty } = require('./propertyAvailability');
+const { canTransition, transitionOffer } = require('./offerStateMachine');
+
+const refundableAmount = (offer) => {
+  const committed = (offer.refunds || [])
+    .filter((item) => item.status !== 'failed')
+    .reduce((sum, item) => sum + Number(item.amount || 0), 0);
+  return Math.max(Number(offer.advanceAmount || 0) - committed, 0);
+};
+
+// Cancel an advance-paid offer and refund all or part of its advance through
+// Razorpay. Returns { error, statusCode } when the refund cannot be started.
+const initiateAdvanceRefund = async (offer, { amount, reason, actor }) => {
+  const paymentId = offer.paymentRef?.paymentId || offer.paymentDetails?.paymentId;
+  if (!offer.advancePaid || !paymentId) {
+    return { error: 'No captured advance payment to refund', statusCode: 400 };
+  }
+  // Closed offers (a competing buyer's advance) stay closed; anything else is
+  // cancelled, so check that move before any money goes back.
+  const keepStatus = ['cancelled', 'closed'].includes(offer.status);
+  if (!keepStatus && !canTransition(offer.status, 'cancelled')) {
+    return { error: `Cannot refund an offer that is ${offer.status}`, statusCode: 409 };
+  }
+
+  const available = refundableAmount(offer);
+  const refundAmount = amount === undefined || amount === null || amount === '' ? available : Number(amount);
+  if (!Number.isFinite(refundAmount) || refundAmount <= 0) {
+    return { error: 'Refund amount must be greater than 0', statusCode: 400 };
+  }
+  if (toPaise(refundAmount) > toPaise(available)) {
+    return { error: `Refund amount exceeds refundable advance (₹${available.toLocaleString('en-IN')})`, statusCode: 400 };
+  }
+
+  let refund;
+  try {
+    refund = await razorpay.payments.refund(paymentId, {
+      amount: toPaise(refundAmount),
+      notes: { offerId: String(offer._id), reason: reason || '' }
+    });
+  } catch (e) {
+    console.error('Failed to create Razorpay refund', e?.error || e);
+    return { error: e?.error?.description || 'Failed to create refund', statusCode: 502 };
+  }
+
+  offer.refunds.push({
+    refundId: refund.id,
+    amount: toRupees(refund.amount),
+    status: 'pending',
+    reason,
+    initiatedBy: actor?._id
+  });
+  if (!keepStatus) {
+    transitionOffer(offer, 'cancelled', { actor, reason: reason || 'Advance refunded' });
+    offer.cancelledAt = new Date();
+    offer.cancellationReason = reason;
+  }
+  await offer.save();
+
+  const property = await releaseProperty(offer.propertyId, { excludeOfferId: offer._id });
+
+  await notifyRefund(offer, {
+    title: 'Advance Refund Initiated',
+    message: (propTitle) => `The purchase of ${propTitle} has been cancelled${reason ? ` (${reason})` : ''}. A refund of ₹${toRupees(refund.amount).toLocaleString('en-IN')} has been initiated.`
+  });
+
+  // Instant refunds come back already processed; record them in the ledger now
+  // rather than waiting for the refund.processed webhook.
+  if (refund.status === 'processed') {
+    await processLedgerEntry({
+      eventId: `admin:${refund.id}`,
+      event: 'refund.processed',
+      source: 'admin',
+      offerId: offer._id,
+      orderId: offer.paymentRef?.orderId,
+      paymentId,
+      refundId: refund.id,
+      amount: toRupees(refund.amount),
+      currency: refund.currency
+    }, { offer });
+  }
+
+  return { offer, refund, propertyReleased: Boolean(property) };
+};
+
+module.exports = {
+  refundableAmount,
+  initiateAdvanceRefund
+};
@@ -0,0 +1,173 @@
+const Property = require('../models/Property');
+const RentalApplication = require('../models/RentalApplication');
+const User = require('../models/User');
+const transporter = require('./mailer');
+const { createNotification, notifyAdmins } = require('./notificationService');
+const { historyEntry } = require('./offerStateMachine');
+const { escapeHtml } = require('./propertyQuery');
+const { alertStatusChange } = require('./savedPropertyAlerts');
+
+// Allowed RentalApplication.status transitions, mirroring the offer rules
+const APPLICATION_TRANSITIONS = {
+  submitted: ['shortlisted', 'approved', 'declined', 'withdrawn', 'closed'],
+  shortlisted: ['approved', 'declined', 'withdrawn', 'closed'],
+  approved: [],
+  declined: [],
+  withdrawn: [],
+  // Another applicant got the listing, or it came off the market
+  closed: []
+};
+const OPEN_APPLICATION_STATUSES = ['submitted', 'shortlisted'];
+
+const formatRent = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}/month`;
+
+// Move an application to a new status and record who did it and why. Returns
+// { error, statusCode: 409, details } for a move the rules don't allow.
+const transitionApplication = (application, to, { actor, reason } = {}) => {
+  const from = application.status;
+  if (from === to) return { application, changed: false };
+  if (!(APPLICATION_TRANSITIONS[from] || []).includes(to)) {
+    return {
+      error: `Cannot move rental application from ${from} to ${to}`,
+      statusCode: 409,
+      details: { currentStatus: from, allowedTransitions: APPLICATION_TRANSITIONS[from] || [] }
+    };
+  }
+  application.status = to;
+  application.statusHistory.push(historyEntry(from, to, { actor, reason }));
+  return { application, changed: true };
+};
+
+// In-app notification and email to the applicant or the agent. Best effort.
+const notifyApplicationParty = async (application, recipientRole, { title, message }) => {
+  try {
+    const recipientId = recipientRole === 'applicant' ? application.applicant : application.agent;
+    const [recipient, property] = await Promise.all([
+      User.findById(recipientId?._id || recipientId).select('name email'),
+      Property.findById(application.property?._id || application.property).select('title')
+    ]);
+    const text = message(property?.title || 'the property');
+
+    await createNotification({
+      userId: recipientId?._id || recipientId,
+      type: 'rental',
+      title,
+      message: text,
+      metadata: { applicationId: application._id, propertyId: application.property?._id || application.property }
+    });
+
+    if (recipient?.email) {
+      await transporter.sendMail({
+        from: process.env.EMAIL_USER,
+        to: recipient.email,
+        subject: title,
+        html: `
+          <div style="font-family: Arial, sans-serif; max-width: 600px;">
+            <h2 style="margin:0 0 12px 0;">${escapeHtml(title)}</h2>
+            <p>Hello ${escapeHtml(recipient.name || '')},</p>
+            <p>${escapeHtml(text)}</p>
+            <p>Please check your dashboard for details.</p>
+          </div>
+        `
+      });
+    }
+  } catch (notifyErr) {
+    console.warn('Failed to send rental application notification:', notifyErr?.message || notifyErr);
+  }
+};
+
+// Tell the agent (and admins) about a new application
+const notifyApplicationSubmitted = async (application, applicantName, property) => {
+  const text = `${applicantName || 'A prospective tenant'} applied to rent ${property.title}, offering ${formatRent(application.proposedRent)} from ${new Date(application.moveInDate).toLocaleDateString()}.`;
+  await notifyApplicationParty(application, 'agent', {
+    title: 'New Rental Application',
+    message: () => text
+  });
+  try {
+    await notifyAdmins('rental', 'New Rental Application', text, {
+      applicationId: application._id,
+      propertyId: property._id
+    });
+  } catch (notifyErr) {
+    console.warn('Failed to notify admins about rental application:', notifyErr?.message || notifyErr);
+  }
+};
+
+// Approve an application: let the listing (only if it is still available,
+// in one conditional update), record the lease, and close every other open
+// application on it. Returns { application, property } or { error, statusCode }.
+const approveApplication = async (application, actor, { leaseStartDate, reason } = {}) => {
+  const startDate = leaseStartDate ? new Date(leaseStartDate) : application.moveInDate;
+  if (Number.isNaN(new Date(startDate).getTime())) {
+    return { error: 'Invalid lease start date', statusCode: 400 };
+  }
+
+  const previousStatus = application.status;
+  const moved = transitionApplication(application, 'approved', { actor, reason });
+  if (moved.error) return moved;
+
+  const listing = await Property.findById(application.property).select('rental');
+  const property = await Property.findOneAndUpdate(
+    { _id: application.property, listingType: 'rent', status: 'active' },
+    {
+      $set: {
+        status: 'rented',
+        lease: {
+          application: application._id,
+          tenant: application.applicant,
+          monthlyRent: application.proposedRent,
+          securityDeposit: listing?.rental?.securityDeposit,
+          startDate,
+          leaseMonths: application.leaseMonths || listing?.rental?.minLeaseMonths,
+          recordedBy: actor?._id || actor,
+          recordedAt: new Date()
+        },
+        updatedAt: new Date()
+      }
+    },
+    { new: true }
+  );
+  if (!property) {
+    return {
+      error: 'This listing is no longer available to let',
+      statusCode: 409,
+      details: { currentStatus: previousStatus }
+    };
+  }
+
+  application.decisionReason = reason;
+  application.decidedAt = new Date();
+  application.leaseStartDate = startDate;
+  await application.save();
+
+  await notifyApplicationParty(application, 'applicant', {
+    title: 'Rental Application Approved',
+    message: (title) => `Your application to rent ${title} was approved. Your lease starts on ${new Date(startDate).toLocaleDateString()}.`
+  });
+
+  const others = await RentalApplication.find({
+    property: property._id,
+    _id: { $ne: application._id },
+    status: { $in: OPEN_APPLICATION_STATUSES }
+  });
+  for (const other of others) {
+    transitionApplication(other, 'closed', { actor, reason: 'Another applicant was approved' });
+    await other.save();
+    await notifyApplicationParty(other, 'applicant', {
+      title: 'Rental No Longer Available',
+      message: (title) => `${title} has been let to another applicant, so your application was closed.`
+    });
+  }
+
+  alertStatusChange(property, 'rented');
+  return { application, property, closedApplications: others.length };
+};
+
+module.exports = {
+  APPLICATION_TRANSITIONS,
+  OPEN_APPLICATION_STATUSES,
+  transitionApplication,
+  notifyApplicationParty,
+  notifyApplicationSubmitted,
+  approveApplication
+};
@@ -0,0 +1,94 @@
+const User = require('../models/User');
+const transporter = require('./mailer');
+const { createNotifications } = require('./notificationService');
+const { escapeHtml } = require('./propertyQuery');
+
+const ALERT_KINDS = ['priceDrop', 'statusChange', 'newVisitSlots'];
+
+const formatPrice = (value) => `₹${Number(value || 0).toLocaleString('en-IN')}`;
+
+// Notify everyone who saved the property and hasn't turned this kind of
+// alert off, in-app and (unless they opted out) by email. Best effort: a
+// failure here never breaks the change that triggered it, and it never
+// rejects, so callers start it without waiting for the emails.
+const alertSavers = async (property, kind, { title, message, metadata = {} }) => {
+  try {
+    const savers = await User.find({
+      savedProperties: property._id,
+      _id: { $ne: property.agent?._id || property.agent },
+      [`alertPreferences.${kind}`]: { $ne: false }
+    }).select('name email alertPreferences');
+    if (savers.length === 0) return 0;
+
+    await createNotifications(savers.map((user) => ({
+      userId: user._id,
+      type: 'alert',
+      title,
+      message,
+      metadata: { propertyId: property._id, alert: kind, ...metadata }
+    })));
+
+    for (const user of savers) {
+      if (!user.email || user.alertPreferences?.email === false) continue;
+      try {
+        await transporter.sendMail({
+          from: process.env.EMAIL_USER,
+          to: user.email,
+          subject: title,
+          html: `
+            <div style="font-family: Arial, sans-serif; max-width: 600px;">
+              <h2 style="margin:0 0 12px 0;">${escapeHtml(title)}</h2>
+              <p>Hello ${escapeHtml(user.name || '')},</p>
+              <p>${escapeHtml(message)}</p>
+              <p style="color:#666;font-size:12px;">You are receiving this because you saved this property. You can change your alert settings in your profile.</p>
+            </div>
+          `
+        });
+      } catch (mailErr) {
+        console.warn('Failed to email saved property alert:', mailErr?.message || mailErr);
+      }
+    }
+    return savers.length;
+  } catch (notifyErr) {
+    console.warn('Failed to send saved property alerts:', notifyErr?.message || notifyErr);
+    return 0;
+  }
+};
+
+const alertPriceDrop = (property, change) => alertSavers(property, 'priceDrop', {
+  title: 'Price Drop on a Saved Property',
+  message: `${property.title} is now ${formatPrice(change.price)}, down ${Math.abs(change.changePercent)}% from ${formatPrice(change.previousPrice)}.`,
+  metadata: { previousPrice: change.previousPrice, price: change.price, changePercent: change.changePercent }
+});
+
+const statusMessages = {
+  pending: (title) => `${title} is now under offer. It may still become available again if the sale falls through.`,
+  sold: (title) => `${title} has been sold.`,
+  rented: (title) => `${title} has been let to a tenant and is no longer available.`
+};
+
+const alertStatusChange = (property, status) => {
+  if (!statusMessages[status]) return Promise.resolve(0);
+  return alertSavers(property, 'statusChange', {
+    title: { sold: 'Saved Property Sold', rented: 'Saved Property Rented' }[status] || 'Saved Property Under Offer',
+    message: statusMessages[status](property.title),
+    metadata: { status }
+  });
+};
+
+const alertNewVisitSlots = (property, slots) => {
+  if (!slots.length) return Promise.resolve(0);
+  const dates = [...new Set(slots.map((slot) => slot.date))].sort();
+  return alertSavers(property, 'newVisitSlots', {
+    title: 'New Visit Slots Available',
+    message: `${slots.length} new visit slot${slots.length === 1 ? '' : 's'} opened for ${property.title} on ${dates.join(', ')}.`,
+    metadata: { dates }
+  });
+};
+
+module.exports = {
+  ALERT_KINDS,
+  alertPriceDrop,
+  alertStatusChange,
+  alertNewVisitSlots
+};
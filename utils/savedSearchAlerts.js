@@ -0,0 +1,202 @@
+const mongoose = require('mongoose');
+const Property = require('../models/Property');
+const SavedSearch = require('../models/SavedSearch');
+const User = require('../models/User');
+const transporter = require('./mailer');
+const { createNotification } = require('./notificationService');
+const { buildPropertyFilter, escapeHtml, parseGeoParams, withGeoConditions } = require('./propertyQuery');
+
+// GET /api/properties parameters a saved search may keep
+const SEARCH_FILTER_KEYS = [
+  'q', 'propertyType', 'city', 'state', 'bedrooms', 'bathrooms', 'minPrice', 'maxPrice',
+  'features', 'near', 'lat', 'lng', 'radius', 'bbox', 'recentlyReduced', 'reducedWithinDays',
+  'listingType', 'furnishing', 'availableBy', 'leaseMonths', 'maxDeposit'
+];
+const DIGEST_PERIOD_MS = {
+  daily: 24 * 60 * 60 * 1000,
+  weekly: 7 * 24 * 60 * 60 * 1000
+};
+const MAX_MATCHES_PER_ALERT = 20;
+
+const apiBaseUrl = () => process.env.API_BASE_URL || `http://localhost:${process.env.PORT || 3001}`;
+const frontendUrl = () => process.env.FRONTEND_URL || 'http://localhost:5173';
+
+// Keep only known listing parameters, as strings, and check the map ones.
+// Returns { filters } or { error }.
+const sanitizeFilters = (input = {}) => {
+  if (!input || typeof input !== 'object' || Array.isArray(input)) {
+    return { error: 'filters must be an object of listing search parameters' };
+  }
+  const filters = {};
+  for (const key of SEARCH_FILTER_KEYS) {
+    const value = input[key];
+    if (value === undefined || value === null || value === '') continue;
+    filters[key] = Array.isArray(value) ? value.map(String).join(',') : String(value);
+  }
+  const geo = parseGeoParams(filters);
+  if (geo?.error) return { error: geo.error };
+  return { filters };
+};
+
+// Same conditions GET /api/properties would apply for these filters
+const searchFilter = (filters = {}) => {
+  const filter = buildPropertyFilter(filters);
+  const geo = parseGeoParams(filters);
+  return geo && !geo.error ? withGeoConditions(filter, geo) : filter;
+};
+
+const findNewMatches = (search, since) => Property.find({
+  ...searchFilter(search.filters),
+  publishedAt: { $gt: since }
+})
+  .select('title price listingType address propertyType bedrooms bathrooms images publishedAt')
+  .sort({ publishedAt: -1 })
+  .limit(MAX_MATCHES_PER_ALERT);
+
+const listingLine = (property) => {
+  const image = property.images?.find((item) => item.isPrimary) || property.images?.[0];
+  const thumb = image?.variants?.thumbnail || image?.url;
+  return `
+    <tr>
+      <td style="padding:8px 0;">${thumb ? `<img src="${thumb}" alt="" width="96" style="border-radius:4px;" />` : ''}</td>
+      <td style="padding:8px 12px;">
+        <a href="${frontendUrl()}/properties/${property._id}"><strong>${escapeHtml(property.title)}</strong></a><br/>
+        ₹${Number(property.price || 0).toLocaleString('en-IN')}${property.listingType === 'rent' ? '/month' : ''} · ${property.propertyType || ''} · ${property.address?.city || ''}
+      </td>
+    </tr>`;
+};
+
+// In-app notification plus an email listing the new matches
+const sendSearchAlert = async (search, user, properties) => {
+  const count = properties.length;
+  const title = count === 1
+    ? `New listing for "${search.name}"`
+    : `${count} new listings for "${search.name}"`;
+
+  await createNotification({
+    userId: user._id,
+    type: 'alert',
+    title,
+    message: count === 1
+      ? `${properties[0].title} matches your saved search "${search.name}".`
+      : `${count} new properties match your saved search "${search.name}".`,
+    metadata: { savedSearchId: search._id, propertyIds: properties.map((property) => property._id) }
+  });
+
+  if (user.email && user.alertPreferences?.email !== false) {
+    await transporter.sendMail({
+      from: process.env.EMAIL_USER,
+      to: user.email,
+      subject: title,
+      html: `
+        <div style="font-family: Arial, sans-serif; max-width: 600px;">
+          <h2 style="margin:0 0 12px 0;">${escapeHtml(title)}</h2>
+          <p>Hello ${user.name || ''},</p>
+          <table style="border-collapse:collapse;">${properties.map(listingLine).join('')}</table>
+          <p style="color:#666;font-size:12px;margin-top:16px;">
+            You are receiving ${search.frequency} alerts for the saved search "${escapeHtml(search.name)}".
+            <a href="${apiBaseUrl()}/api/saved-searches/unsubscribe/${search.unsubscribeToken}">Unsubscribe from this search</a>
+          </p>
+        </div>
+      `
+    });
+  }
+};
+
+const lower = (value) => String(value || '').trim().toLowerCase();
+
+// Cheap in-memory check of the plain filters (place, type, price) so only
+// searches that could match cost a query; keywords and map areas are left to
+// searchFilter
+const mightMatch = (filters = {}, property) => {
+  if (filters.city && !lower(property.address?.city).includes(lower(filters.city))) return false;
+  if (filters.state && !lower(property.address?.state).includes(lower(filters.state))) return false;
+  if (filters.propertyType && !filters.propertyType.split(',').map((type) => type.trim()).includes(property.propertyType)) {
+    return false;
+  }
+  const price = Number(property.price);
+  if (filters.minPrice && price < Number(filters.minPrice)) return false;
+  if (filters.maxPrice && price > Number(filters.maxPrice)) return false;
+  return true;
+};
+
+// Called when a listing is published: alert every instant search it matches.
+// Never rejects, so routes start it without waiting for the emails.
+const alertInstantSearches = async (property) => {
+  try {
+    // Searches without a listing type are for sales
+    const searches = await SavedSearch.find({
+      isActive: true,
+      frequency: 'instant',
+      'filters.listingType': property.listingType === 'rent' ? 'rent' : { $in: ['sale', null] }
+    });
+    let alerted = 0;
+    for (const search of searches) {
+      if (!mightMatch(search.filters, property)) continue;
+      const matches = await Property.exists({ ...searchFilter(search.filters), _id: property._id });
+      if (!matches) continue;
+      const user = await User.findById(search.user).select('name email alertPreferences');
+      if (!user || String(user._id) === String(property.agent?._id || property.agent)) continue;
+
+      await sendSearchAlert(search, user, [property]);
+      await SavedSearch.updateOne(
+        { _id: search._id },
+        { $set: { lastNotifiedAt: new Date(), lastMatchCount: 1 } }
+      );
+      alerted += 1;
+    }
+    return alerted;
+  } catch (notifyErr) {
+    console.warn('Failed to send saved search alerts:', notifyErr?.message || notifyErr);
+    return 0;
+  }
+};
+
+// Background job: send daily and weekly digests that are due
+const runSavedSearchDigests = async () => {
+  try {
+    // Skip if DB not connected
+    if (mongoose.connection.readyState !== 1) {
+      console.warn('🛑 Skipping saved search digests: MongoDB not connected');
+      return;
+    }
+    const now = new Date();
+    let sent = 0;
+    for (const [frequency, period] of Object.entries(DIGEST_PERIOD_MS)) {
+      const due = await SavedSearch.find({
+        isActive: true,
+        frequency,
+        lastNotifiedAt: { $lte: new Date(now.getTime() - period) }
+      });
+      for (const search of due) {
+        try {
+          const matches = await findNewMatches(search, search.lastNotifiedAt);
+          const user = matches.length
+            ? await User.findById(search.user).select('name email alertPreferences')
+            : null;
+          if (user) {
+            await sendSearchAlert(search, user, matches);
+            sent += 1;
+          }
+          await SavedSearch.updateOne(
+            { _id: search._id },
+            { $set: { lastNotifiedAt: now, lastMatchCount: matches.length } }
+          );
+        } catch (searchErr) {
+          console.warn(`Failed to send digest for saved search ${search._id}:`, searchErr?.message || searchErr);
+        }
+      }
+    }
+    console.log(`🔔 Saved search digests: ${sent} sent`);
+  } catch (error) {
+    console.error('Error running saved search digests:', error);
+  }
+};
+
+module.exports = {
+  SEARCH_FILTER_KEYS,
+  sanitizeFilters,
+  searchFilter,
+  alertInstantSearches,
+  runSavedSearchDigests
+};